@@ -25,6 +25,7 @@
 #include <WiFi.h>
 #include <WebSocketsClient.h>
 #include <ArduinoJson.h>
+#include "mbedtls/md.h"
 
 // ============================================
 // CONFIGURATION - MODIFY THESE VALUES
@@ -37,11 +38,19 @@ const char* WIFI_PASSWORD = "ErzaKnightw@lk3r";
 // Game Server Configuration
 const char* SERVER_HOST = "15.235.204.158";  // Change to your server IP
 const int SERVER_PORT = 3000;
+const char* ROOM_ID = "main";                // Arena to join (see admin panel)
+const bool USE_MSGPACK = false;              // Binary MessagePack instead of JSON text (smaller, faster to parse)
+
+// Device credentials from the admin panel (DEVICES). Leave both empty on
+// servers that accept unregistered devices, the tank name is used as id then.
+const char* DEVICE_ID = "";
+const char* DEVICE_KEY = "";
 
 // Tank Configuration (Fixed for this device)
 const char* TANK_NAME = "SIR. PAGUIO";
 const char* PRIMARY_COLOR = "#03FCDF";    // Purple
 const char* SECONDARY_COLOR = "#FFFFFF";  // Dark Purple
+const char* TEAM = "";                    // Team in team modes ("RED", "BLUE"), empty = auto-balance
 const char* AVATAR_URL = "https://icons.iconarchive.com/icons/papirus-team/papirus-apps/128/pingus-icon-icon.png";               // Optional avatar URL
 
 // ============================================
@@ -198,12 +207,13 @@ void webSocketEvent(WStype_t type, uint8_t * payload, size_t length) {
             break;
 
         case WStype_CONNECTED:
+            // Joining waits for the server's challenge
             Serial.println("[WS] Connected to server!");
-            sendJoinMessage();
             break;
 
         case WStype_TEXT:
-            handleServerMessage((char*)payload);
+        case WStype_BIN:
+            handleServerMessage(payload, length, type == WStype_BIN);
             break;
 
         case WStype_ERROR:
@@ -216,24 +226,69 @@ void webSocketEvent(WStype_t type, uint8_t * payload, size_t length) {
     }
 }
 
-void sendJoinMessage() {
-    StaticJsonDocument<256> doc;
+// HMAC-SHA256 of message with DEVICE_KEY, as hex
+String signMessage(const String& message) {
+    uint8_t hmac[32];
+    mbedtls_md_context_t ctx;
+    mbedtls_md_init(&ctx);
+    mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 1);
+    mbedtls_md_hmac_starts(&ctx, (const unsigned char*)DEVICE_KEY, strlen(DEVICE_KEY));
+    mbedtls_md_hmac_update(&ctx, (const unsigned char*)message.c_str(), message.length());
+    mbedtls_md_hmac_finish(&ctx, hmac);
+    mbedtls_md_free(&ctx);
+
+    String hex = "";
+    char byteHex[3];
+    for (int i = 0; i < 32; i++) {
+        sprintf(byteHex, "%02x", hmac[i]);
+        hex += byteHex;
+    }
+    return hex;
+}
+
+void sendJoinMessage(const char* nonce) {
+    StaticJsonDocument<512> doc;
     doc["type"] = "esp32Join";  // Use esp32Join for ESP32 devices
+    doc["roomId"] = ROOM_ID;
     doc["name"] = TANK_NAME;
     doc["primaryColor"] = PRIMARY_COLOR;
     doc["secondaryColor"] = SECONDARY_COLOR;
     doc["avatarUrl"] = AVATAR_URL;
+    if (strlen(TEAM) > 0) {
+        doc["team"] = TEAM;
+    }
+    doc["encoding"] = USE_MSGPACK ? "msgpack" : "json";
+    if (strlen(DEVICE_ID) > 0) {
+        doc["deviceId"] = DEVICE_ID;
+    }
+    // Registered devices sign "<nonce>:<deviceId>" with their key
+    if (strlen(DEVICE_KEY) > 0) {
+        doc["signature"] = signMessage(String(nonce) + ":" + DEVICE_ID);
+    }
 
-    String message;
-    serializeJson(doc, message);
-    webSocket.sendTXT(message);
+    sendDocument(doc);
 
     Serial.println("[WS] Sent esp32Join message");
 }
 
-void handleServerMessage(char* payload) {
+// Send in the wire format picked at join time
+void sendDocument(JsonDocument& doc) {
+    if (USE_MSGPACK) {
+        uint8_t buffer[512];
+        size_t length = serializeMsgPack(doc, buffer, sizeof(buffer));
+        webSocket.sendBIN(buffer, length);
+    } else {
+        String message;
+        serializeJson(doc, message);
+        webSocket.sendTXT(message);
+    }
+}
+
+void handleServerMessage(uint8_t* payload, size_t length, bool binary) {
     StaticJsonDocument<1024> doc;
-    DeserializationError error = deserializeJson(doc, payload);
+    DeserializationError error = binary
+        ? deserializeMsgPack(doc, payload, length)
+        : deserializeJson(doc, payload, length);
 
     if (error) {
         Serial.print("[JSON] Parse error: ");
@@ -243,7 +298,10 @@ void handleServerMessage(char* payload) {
 
     const char* type = doc["type"];
 
-    if (strcmp(type, "joined") == 0) {
+    if (strcmp(type, "challenge") == 0) {
+        sendJoinMessage(doc["nonce"].as<const char*>());
+    }
+    else if (strcmp(type, "joined") == 0) {
         isConnected = true;
         playerId = doc["playerId"].as<String>();
         Serial.print("[GAME] Joined! Player ID: ");
@@ -282,8 +340,29 @@ void handleServerMessage(char* payload) {
     }
     else if (strcmp(type, "banned") == 0) {
         Serial.println("[GAME] You have been banned!");
+        const char* reason = doc["reason"].as<const char*>();
+        if (reason && strlen(reason) > 0) {
+            Serial.print("[GAME] Reason: ");
+            Serial.println(reason);
+        }
+        // remaining is null for permanent bans
+        if (doc["remaining"].isNull()) {
+            Serial.println("[GAME] The ban is permanent");
+        } else {
+            Serial.print("[GAME] The ban ends in ");
+            Serial.print((doc["remaining"].as<unsigned long>() + 59999) / 60000);
+            Serial.println(" min");
+        }
+        isConnected = false;
+    }
+    else if (strcmp(type, "roomClosed") == 0) {
+        Serial.println("[GAME] Room was closed by the admin");
         isConnected = false;
     }
+    else if (strcmp(type, "error") == 0) {
+        Serial.print("[GAME] Server error: ");
+        Serial.println(doc["message"].as<const char*>());
+    }
 }
 
 // ============================================
@@ -356,9 +435,7 @@ void sendMovement() {
     moving["left"] = btnLeft;
     moving["right"] = btnRight;
 
-    String message;
-    serializeJson(doc, message);
-    webSocket.sendTXT(message);
+    sendDocument(doc);
 
     Serial.print("[SEND] Move: ");
     if (btnUp) Serial.print("UP ");
@@ -372,9 +449,7 @@ void sendFire() {
     StaticJsonDocument<64> doc;
     doc["type"] = "fire";
 
-    String message;
-    serializeJson(doc, message);
-    webSocket.sendTXT(message);
+    sendDocument(doc);
 
     Serial.println("[SEND] FIRE!");
 }
@@ -0,0 +1,82 @@
+// Minimal external AI tank. Create a token in the admin panel (External Bots),
+// then run:
+//
+//   node examples/bot-client.js ws://localhost:3000 <token> [roomId]
+//
+// After 'botJoined' the server sends an 'observation' every tick with this
+// tank ('self') and the tanks, bullets, obstacles and powerups within
+// senseRange. Answer with the same 'move' / 'rotate' / 'fire' commands the
+// controllers send, plus the tick of the observation being answered. Commands
+// answering an observation older than replyTimeout ms are dropped and
+// counted as late, ticks without any answer count as missed. 'rotate' sets
+// where to aim, the tank turns there at turnRate radians per tick.
+const WebSocket = require('ws');
+
+const [url = 'ws://localhost:3000', token, roomId] = process.argv.slice(2);
+if (!token) {
+    console.error('Usage: node examples/bot-client.js <url> <token> [roomId]');
+    process.exit(1);
+}
+
+const ws = new WebSocket(url);
+
+function send(data) {
+    ws.send(JSON.stringify(data));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Drive at the nearest enemy and shoot when facing it, wander otherwise
+function think(obs) {
+    const self = obs.self;
+    if (self.eliminated) return;
+
+    const enemies = obs.tanks.filter(t => !(self.team && t.team === self.team) && !t.spawnProtection);
+    enemies.sort((a, b) => distance(self, a) - distance(self, b));
+    const target = enemies[0];
+
+    if (target) {
+        send({ type: 'rotate', angle: Math.atan2(target.y - self.y, target.x - self.x), tick: obs.tick });
+        send({ type: 'move', moving: { up: distance(self, target) > 200, down: false, left: false, right: false }, tick: obs.tick });
+        if (self.reloadMs === 0 && distance(self, target) < self.fireRange) {
+            send({ type: 'fire', tick: obs.tick });
+        }
+    } else {
+        send({ type: 'move', moving: { up: true, down: false, left: false, right: obs.tick % 120 < 20 }, tick: obs.tick });
+    }
+}
+
+ws.on('open', () => {
+    send({ type: 'botJoin', token, roomId });
+});
+
+ws.on('message', message => {
+    const data = JSON.parse(message);
+    switch (data.type) {
+        case 'botJoined':
+            console.log(`Joined room ${data.roomId} as ${data.playerId}, ${data.tickRate} ticks/s, turning ${data.turnRate} rad/tick`);
+            break;
+
+        case 'observation':
+            think(data);
+            break;
+
+        case 'configUpdated':
+            // Admins can change the tick rate and tank stats while the server runs
+            console.log(`Game settings changed, now ${data.config.TICK_RATE} ticks/s`);
+            break;
+
+        case 'lateReply':
+            console.warn(`Too slow: answered tick ${data.tick} at tick ${data.currentTick}`);
+            break;
+
+        case 'error':
+            console.error(data.message);
+            ws.close();
+            break;
+    }
+});
+
+ws.on('close', () => process.exit(0));
@@ -0,0 +1,290 @@
+const { CONFIG, BOT_DIFFICULTIES, OBSTACLE_TYPES, POWERUP_TYPES } = require('./config');
+const { randomPosition, distance, angleDifference, normalizeAngle } = require('./utils');
+const { areTeammates, canDamage } = require('./teams');
+const { isRoundActive } = require('./rounds');
+const { PATH_CELL_SIZE, findPath, hasLineOfSight } = require('./pathfinding');
+
+// Bullets further away than this are left for the next check
+const DODGE_RANGE = 300;
+
+// Mystery boxes blow up half the time, bots leave them alone
+const AVOIDED_POWERUPS = ['MYSTERY'];
+// How far off (radians) the barrel may still point to drive or fire
+const DRIVE_TOLERANCE = Math.PI / 4;
+const FIRE_TOLERANCE = 0.1;
+
+function drive(tank, forward, backward = false) {
+    tank.moving = { up: forward, down: backward, left: false, right: false };
+}
+
+// Bots turn like players do, at TANK_TURN_RATE. Returns whether the tank
+// already points within tolerance of angle.
+function turnTo(tank, angle, tolerance) {
+    tank.targetAngle = normalizeAngle(angle);
+    return Math.abs(angleDifference(tank.angle, tank.targetAngle)) <= tolerance;
+}
+
+// Where to aim so a bullet meets the target, assuming it keeps driving the way it is
+function leadTarget(tank, target) {
+    const direction = (target.moving.up ? 1 : 0) - (target.moving.down ? 1 : 0);
+    const speed = target.getEffectiveStats().speed * direction;
+    const vx = Math.cos(target.angle) * speed;
+    const vy = Math.sin(target.angle) * speed;
+    const px = target.x - tank.x;
+    const py = target.y - tank.y;
+
+    // |p + v t| = bullet speed * t, solved for the flight time t
+    const a = vx * vx + vy * vy - CONFIG.BULLET_SPEED * CONFIG.BULLET_SPEED;
+    if (a >= 0) return target;
+    const b = 2 * (px * vx + py * vy);
+    const c = px * px + py * py;
+    const t = (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    return { x: target.x + vx * t, y: target.y + vy * t };
+}
+
+// Whether a tank fits at pos without touching an obstacle or the map edge
+function isOpen(engine, pos) {
+    const half = CONFIG.TANK_SIZE / 2;
+    if (pos.x < half || pos.y < half || pos.x > engine.width - half || pos.y > engine.height - half) {
+        return false;
+    }
+    return !engine.obstacleGrid.query(pos.x, pos.y, half).some(obs =>
+        distance(pos, obs) < (CONFIG.TANK_SIZE + obs.size) / 2
+    );
+}
+
+// Bot AI. Decisions (what to do, where to go) are made once per reaction time,
+// steering, aiming and dodging run every tick.
+class BotAI {
+    constructor(tank, difficulty = CONFIG.BOT_DIFFICULTY) {
+        this.tank = tank;
+        this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : CONFIG.BOT_DIFFICULTY;
+        this.settings = BOT_DIFFICULTIES[this.difficulty];
+        this.state = 'roaming';
+        this.targetId = null;
+        this.path = [];
+        this.nextDecision = 0;
+        this.lastPosition = null;
+        this.aimOffset = 0;
+        this.dodgeUntil = 0;
+        this.dodgeAngle = 0;
+    }
+
+    update() {
+        const tank = this.tank;
+        if (tank.eliminated) return;
+
+        const engine = tank.engine;
+        const now = engine.clock.now();
+        if (now >= this.nextDecision) {
+            this.nextDecision = now + this.settings.reactionTime;
+            this.decide(engine);
+        }
+
+        if (this.settings.dodge && now >= this.dodgeUntil) {
+            this.checkIncomingBullets(engine, now);
+        }
+        if (now < this.dodgeUntil) {
+            drive(tank, turnTo(tank, this.dodgeAngle, DRIVE_TOLERANCE));
+            return;
+        }
+
+        const target = this.state === 'attacking' ? engine.tanks.get(this.targetId) : null;
+        if (target && !target.eliminated) {
+            this.attack(engine, target);
+        } else {
+            this.followPath();
+        }
+    }
+
+    decide(engine) {
+        const tank = this.tank;
+        // Pushing forward without getting anywhere means the route is stale
+        const stuck = !!this.lastPosition && tank.moving.up && distance(tank, this.lastPosition) < 5;
+        this.lastPosition = { x: tank.x, y: tank.y };
+
+        // Head back into the safe zone before anything else
+        const zone = isRoundActive(engine) ? engine.round.zone : null;
+        if (zone && distance(tank, zone) > zone.radius - CONFIG.TANK_SIZE) {
+            this.setGoal(engine, 'fleeingZone', zone);
+            return;
+        }
+
+        const target = this.findTarget(engine);
+
+        // Get clear of barrels before the shooting starts
+        const barrel = target ? this.findNearbyBarrel(engine) : null;
+        if (barrel) {
+            const radius = barrel.config.explosionRadius + CONFIG.TANK_SIZE / 2;
+            const angle = Math.atan2(tank.y - barrel.y, tank.x - barrel.x);
+            this.setGoal(engine, 'avoidingBarrel', {
+                x: Math.max(0, Math.min(engine.width, barrel.x + Math.cos(angle) * radius)),
+                y: Math.max(0, Math.min(engine.height, barrel.y + Math.sin(angle) * radius))
+            });
+            return;
+        }
+
+        // Less aggressive bots break off sooner to find health
+        const healthThreshold = 0.2 + 0.5 * (1 - this.settings.aggression);
+        if (tank.hp < tank.maxHp * healthThreshold) {
+            const health = this.findPowerup(engine, Infinity, type => type === 'HEALTH');
+            if (health) {
+                this.setGoal(engine, 'seekingHealth', health);
+                return;
+            }
+        }
+
+        if (target) {
+            this.state = 'attacking';
+            this.targetId = target.id;
+            this.aimOffset = (engine.rng.next() * 2 - 1) * this.settings.aimError;
+            this.path = findPath(engine, tank, target) || [];
+            return;
+        }
+
+        const powerup = this.findPowerup(engine, this.settings.sightRange * (1.5 - this.settings.aggression),
+            type => this.wantsPowerup(type));
+        if (powerup) {
+            this.setGoal(engine, 'seekingPowerup', powerup);
+            return;
+        }
+
+        // Roam to random spots, picking a new one when there or stuck
+        if (this.state !== 'roaming' || this.path.length === 0 || stuck) {
+            this.setGoal(engine, 'roaming', randomPosition(engine));
+        }
+    }
+
+    setGoal(engine, state, pos) {
+        this.state = state;
+        this.targetId = null;
+        this.path = findPath(engine, this.tank, pos) || [{ x: pos.x, y: pos.y }];
+    }
+
+    // Nearest enemy in sight that can actually be hurt
+    findTarget(engine) {
+        const tank = this.tank;
+        const range = this.settings.sightRange;
+        let target = null;
+        let targetDist = range;
+
+        engine.tankGrid.query(tank.x, tank.y, range).forEach(other => {
+            if (other === tank || other.eliminated || other.spawnProtection || other.invincible) return;
+            if (areTeammates(engine, other, tank)) return;
+            const dist = distance(tank, other);
+            if (dist < targetDist) {
+                targetDist = dist;
+                target = other;
+            }
+        });
+        return target;
+    }
+
+    findNearbyBarrel(engine) {
+        const tank = this.tank;
+        const radius = OBSTACLE_TYPES.BARREL.explosionRadius;
+        return engine.obstacleGrid.query(tank.x, tank.y, radius).find(obs =>
+            obs.type === 'BARREL' && obs.destructible && distance(tank, obs) < radius
+        ) || null;
+    }
+
+    findPowerup(engine, range, wanted) {
+        let best = null;
+        let bestDist = range;
+        engine.powerups.forEach(powerup => {
+            if (!wanted(powerup.type)) return;
+            const dist = distance(this.tank, powerup);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = powerup;
+            }
+        });
+        return best;
+    }
+
+    // Powerups that would do something for this tank right now
+    wantsPowerup(type) {
+        if (AVOIDED_POWERUPS.includes(type)) return false;
+        if (type === 'HEALTH') return this.tank.hp < this.tank.maxHp;
+        const active = this.tank.powerups[type];
+        return !active || active.stacks < POWERUP_TYPES[type].maxStacks;
+    }
+
+    // Close in over the planned route until there's a clear shot, then hold
+    // a distance that depends on aggression and keep firing
+    attack(engine, target) {
+        const tank = this.tank;
+        const dist = distance(tank, target);
+        if (dist > tank.getEffectiveStats().range || !hasLineOfSight(engine, tank, target)) {
+            this.followPath();
+            return;
+        }
+
+        const aim = this.settings.leadShots ? leadTarget(tank, target) : target;
+        const onTarget = turnTo(tank, Math.atan2(aim.y - tank.y, aim.x - tank.x) + this.aimOffset, FIRE_TOLERANCE);
+
+        const preferred = 150 + 200 * (1 - this.settings.aggression);
+        drive(tank, dist > preferred + 50, dist < preferred - 50);
+        if (onTarget) tank.fire();
+    }
+
+    followPath() {
+        const tank = this.tank;
+        while (this.path.length > 0 && distance(tank, this.path[0]) < PATH_CELL_SIZE / 2) {
+            this.path.shift();
+        }
+        if (this.path.length === 0) {
+            drive(tank, false);
+            return;
+        }
+
+        const next = this.path[0];
+        drive(tank, turnTo(tank, Math.atan2(next.y - tank.y, next.x - tank.x), DRIVE_TOLERANCE));
+    }
+
+    // Sidestep bullets headed our way, once they have been flying long
+    // enough for this bot to notice them
+    checkIncomingBullets(engine, now) {
+        const tank = this.tank;
+        if (tank.spawnProtection || tank.invincible) return;
+
+        const tickMs = engine.clock.tickMs;
+        const noticeDistance = this.settings.reactionTime / 2 / tickMs * CONFIG.BULLET_SPEED;
+        const hitDistance = (CONFIG.TANK_SIZE + CONFIG.BULLET_SIZE) / 2;
+
+        for (const bullet of engine.bullets) {
+            if (bullet.ownerId === tank.id || !canDamage(engine, bullet.ownerId, tank)) continue;
+            const flown = distance(bullet, { x: bullet.startX, y: bullet.startY });
+            if (flown < noticeDistance) continue;
+
+            // Distance along the bullet's path and off to its side
+            const dx = Math.cos(bullet.angle);
+            const dy = Math.sin(bullet.angle);
+            const rx = tank.x - bullet.x;
+            const ry = tank.y - bullet.y;
+            const ahead = rx * dx + ry * dy;
+            const side = ry * dx - rx * dy;
+            if (ahead <= 0 || ahead > DODGE_RANGE || ahead > bullet.range - flown) continue;
+            if (Math.abs(side) >= hitDistance) continue;
+
+            // Move off the line on the side we're already on, unless that's blocked
+            let sign = side >= 0 ? 1 : -1;
+            let clearance = hitDistance - Math.abs(side);
+            const probe = s => ({ x: tank.x - dy * s * CONFIG.TANK_SIZE, y: tank.y + dx * s * CONFIG.TANK_SIZE });
+            if (!isOpen(engine, probe(sign))) {
+                if (!isOpen(engine, probe(-sign))) return;
+                sign = -sign;
+                clearance = hitDistance + Math.abs(side);
+            }
+
+            // Turning to the side takes time before the tank gets going
+            const speed = tank.getEffectiveStats().speed;
+            this.dodgeAngle = Math.atan2(dx * sign, -dy * sign);
+            const turn = Math.max(0, Math.abs(angleDifference(tank.angle, this.dodgeAngle)) - DRIVE_TOLERANCE);
+            this.dodgeUntil = now + Math.ceil(turn / CONFIG.TANK_TURN_RATE + clearance / speed + 2) * tickMs;
+            return;
+        }
+    }
+}
+
+module.exports = BotAI;
@@ -0,0 +1,170 @@
+// Game configuration
+const CONFIG = {
+    MAP_WIDTH: 2000,
+    MAP_HEIGHT: 1200,
+    TANK_SIZE: 70,
+    BULLET_SPEED: 8,
+    BULLET_SIZE: 8,
+    BASE_TANK_SPEED: 3,
+    BASE_FIRE_RATE: 500,
+    BASE_DAMAGE: 25,
+    BASE_HEALTH: 100,
+    BASE_FIRE_RANGE: 500,
+    TANK_TURN_RATE: 0.05,      // Radians per tick, for turn buttons and 'rotate' aiming alike
+    SPAWN_PROTECTION_TIME: 5000,
+    OBSTACLE_SPAWN_INTERVAL: 5000,
+    POWERUP_SPAWN_INTERVAL: 8000,
+    MAX_OBSTACLES: 30,
+    MAX_POWERUPS: 5,
+    BOT_DIFFICULTY: 'normal',  // Preset for bots spawned without one, a key of BOT_DIFFICULTIES
+    TICK_RATE: 60,
+    HEARTBEAT_INTERVAL: 5000,  // Ping every 5 seconds
+    HEARTBEAT_TIMEOUT: 15000,  // Disconnect if no pong for 15 seconds
+    GAME_MODE: 'deathmatch',   // Default mode for new rooms, one of GAME_MODES
+    ROUND_LIVES: 3,            // Lives per tank in a battle royale round
+    ROUND_MIN_PLAYERS: 2,      // Tanks needed before the lobby countdown starts
+    ROUND_COUNTDOWN: 10000,    // Lobby countdown before a round starts
+    ROUND_END_DELAY: 10000,    // How long the winner screen stays up
+    ROUND_WIN_POINTS: 500,     // Bonus score for the last tank standing
+    TEAM_COUNT: 2,             // Teams used in team modes (first N of TEAMS)
+    FRIENDLY_FIRE: false,      // Default friendly-fire setting for new rooms
+    CTF_BASE_RADIUS: 60,       // Capture-the-flag base size
+    CTF_CAPTURE_POINTS: 300,   // Score for bringing the enemy flag home
+    CTF_RETURN_POINTS: 25,     // Score for returning your own dropped flag
+    CTF_FLAG_RESET_TIME: 30000, // Dropped flags go back to base after this long
+    MATCH_DURATION: 0,             // Length of a free-play match, 0 for no time limit
+    MATCH_SCORE_LIMIT: 0,          // Score (team score in team modes) that ends a match early, 0 for none
+    MATCH_INTERMISSION: 15000,     // Results on screen, play frozen, before the next match
+    TOURNAMENT_MATCH_DURATION: 180000, // Length of a tournament match
+    TOURNAMENT_COUNTDOWN: 10000,   // Countdown once both players of a match are in the room
+    TOURNAMENT_NO_SHOW_TIME: 120000, // A scheduled player still missing by then forfeits
+    TOURNAMENT_BREAK: 20000,       // Bracket on screen between matches
+    RECORD_MATCHES: true,          // Record every match for replay
+    RECORDING_MAX_DURATION: 900000, // Split free-play recordings after 15 minutes
+    MAX_RECORDINGS: 100,           // Oldest recordings are deleted beyond this
+    KEYFRAME_INTERVAL: 2000,       // Full state broadcast interval, deltas in between
+    GRID_CELL_SIZE: 128,           // Spatial grid cell size for collision checks
+    TICK_STATS_INTERVAL: 5000,     // Window for the tick duration stats
+    BOT_SENSE_RANGE: 600,          // How far external AI clients can see
+    BOT_REPLY_TIMEOUT: 100,        // Commands from external AI clients answering an older observation are dropped
+    ADMIN_SESSION_TTL: 43200000,   // Admin sessions end after 12 hours without use
+    ADMIN_MAX_LOGIN_ATTEMPTS: 5,   // Failed logins before an IP or username is locked out
+    ADMIN_LOCKOUT_TIME: 900000,    // How long a lockout lasts
+    MAX_MESSAGE_SIZE: 262144,      // Bigger WebSocket messages drop the connection (saved maps are the largest)
+    // Token buckets for client messages: rate is messages per second, burst how
+    // many may arrive back to back. Limits are per connection and message type,
+    // types without their own share 'join' (join messages) or 'other'.
+    MESSAGE_RATE_LIMITS: {
+        connection: { rate: 400, burst: 500 }, // Every message of a connection together
+        move: { rate: 150, burst: 150 },       // External bots answer every tick, at up to 120 ticks/s
+        rotate: { rate: 150, burst: 150 },
+        fire: { rate: 150, burst: 150 },
+        adminLogin: { rate: 0.2, burst: 5 },   // Password checks are slow on purpose
+        join: { rate: 1, burst: 5 },
+        other: { rate: 20, burst: 40 }
+    },
+    MESSAGE_VIOLATION_LIMIT: 50,   // Rejected messages within the window before a connection is dropped
+    MESSAGE_VIOLATION_WINDOW: 10000,
+    ANTI_CHEAT_AUTO_KICK: false,   // Kick players on clear violations instead of only flagging them
+    ANTI_CHEAT_WINDOW: 10000,      // How much recent play the input statistics cover
+    ANTI_CHEAT_MAX_INPUT_RATE: 30, // Inputs per second beyond what buttons produce, clear at twice this
+    ANTI_CHEAT_SNAP_TURN: 0.5,     // Aim requests turning further than this in one tick are snaps
+    ANTI_CHEAT_AIM_LOCK: 0.01,     // Aim requests this close to an enemy's direction are locked on
+    ANTI_CHEAT_FLAG_COOLDOWN: 30000 // The same anomaly is flagged for a player at most this often
+};
+
+// Game modes a room can run
+const GAME_MODES = ['deathmatch', 'battleRoyale', 'teamDeathmatch', 'captureTheFlag'];
+const TEAM_MODES = ['teamDeathmatch', 'captureTheFlag'];
+
+// Bot difficulty presets
+// reactionTime: ms between decisions, also how long a bullet flies before it is noticed
+// aimError: max aim error in radians
+// aggression: 0-1, how hurt a bot has to be before it breaks off to find health,
+//   and how far it goes out of its way for other powerups
+// leadShots: aim where a moving target will be rather than where it is
+// sightRange: px at which enemies are noticed
+const BOT_DIFFICULTIES = {
+    easy: { reactionTime: 1500, aimError: 0.3, aggression: 0.3, leadShots: false, dodge: false, sightRange: 400 },
+    normal: { reactionTime: 700, aimError: 0.12, aggression: 0.6, leadShots: true, dodge: true, sightRange: 600 },
+    hard: { reactionTime: 250, aimError: 0.03, aggression: 0.85, leadShots: true, dodge: true, sightRange: 850 }
+};
+
+// Teams for team modes
+const TEAMS = {
+    RED: { name: 'Red', color: '#F44336' },
+    BLUE: { name: 'Blue', color: '#2196F3' },
+    GREEN: { name: 'Green', color: '#4CAF50' },
+    YELLOW: { name: 'Yellow', color: '#FFEB3B' }
+};
+
+// Battle royale round phases
+const ROUND_PHASES = {
+    LOBBY: 'lobby',         // Free play, waiting for enough tanks
+    COUNTDOWN: 'countdown', // Enough tanks, round starts when the countdown ends
+    ACTIVE: 'active',       // Round running, deaths cost lives
+    ENDED: 'ended'          // Winner decided, showing results
+};
+
+// Free-play match phases, see matches.js
+const MATCH_PHASES = {
+    WAITING: 'waiting',           // No players in the room, the clock doesn't run
+    ACTIVE: 'active',             // Match running
+    INTERMISSION: 'intermission'  // Match over, play frozen while the results are up
+};
+
+// Tournament match phases
+const TOURNAMENT_PHASES = {
+    WAITING: 'waiting',     // Scheduled, waiting for both players to be in the room
+    COUNTDOWN: 'countdown', // Both players in, the match starts when the countdown ends
+    ACTIVE: 'active',       // Match running, only the scheduled players are in play
+    ENDED: 'ended'          // Winner decided, waiting for the next match
+};
+
+// Obstacle types
+const OBSTACLE_TYPES = {
+    TREE: { hp: 30, size: 40, destructible: true, color: '#228B22', points: 5 },
+    WALL: { hp: 150, size: 60, destructible: true, color: '#808080', points: 10 },
+    BARREL: { hp: 20, size: 40, destructible: true, color: '#8B4513', explosive: true, explosionRadius: 150, explosionDamage: 100, points: 5 },
+    CRATE: { hp: 40, size: 40, destructible: true, color: '#DEB887', containsPowerup: true, points: 5 }
+};
+
+// Powerup types configuration
+// duration: seconds before expiry (0 = never expires)
+// maxStacks: maximum times this powerup can stack (1 = no stacking)
+// multiplier: effect multiplier per stack
+const POWERUP_TYPES = {
+    SPEED: { color: '#00FFFF', effect: 'speed', multiplier: 1.3, icon: '⚡', duration: 0, maxStacks: 3 },
+    POWER: { color: '#FF0000', effect: 'damage', multiplier: 1.5, icon: '💪', duration: 0, maxStacks: 3 },
+    HEALTH: { color: '#00FF00', effect: 'health', amount: 50, icon: '❤️', duration: 0, maxStacks: 1 },
+    RANGE: { color: '#FFFF00', effect: 'range', multiplier: 1.3, icon: '🎯', duration: 0, maxStacks: 3 },
+    INVINCIBILITY: { color: '#FFD700', effect: 'invincible', icon: '⭐', duration: 10, maxStacks: 1 },
+    MYSTERY: { color: '#da892dff', effect: 'mystery', icon: '❓', duration: 0, maxStacks: 1, explodeChance: 0.50, explosionRadius: 120, explosionDamage: 80 }
+};
+
+// Safe zone schedule for battle royale rounds
+// delay: ms to wait before this stage starts shrinking
+// shrinkTime: ms the shrink takes
+// radius: target radius as a fraction of the starting radius
+// damage: hp per second dealt to tanks outside the zone
+const ZONE_STAGES = [
+    { delay: 30000, shrinkTime: 20000, radius: 0.7, damage: 5 },
+    { delay: 25000, shrinkTime: 15000, radius: 0.45, damage: 10 },
+    { delay: 20000, shrinkTime: 15000, radius: 0.25, damage: 15 },
+    { delay: 15000, shrinkTime: 10000, radius: 0.1, damage: 25 },
+    { delay: 10000, shrinkTime: 10000, radius: 0, damage: 40 }
+];
+
+module.exports = {
+    CONFIG,
+    GAME_MODES,
+    TEAM_MODES,
+    BOT_DIFFICULTIES,
+    TEAMS,
+    ROUND_PHASES,
+    MATCH_PHASES,
+    TOURNAMENT_PHASES,
+    OBSTACLE_TYPES,
+    POWERUP_TYPES,
+    ZONE_STAGES
+};
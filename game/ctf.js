@@ -0,0 +1,121 @@
+const { CONFIG } = require('./config');
+const { distance } = require('./utils');
+const { getActiveTeams } = require('./teams');
+
+// Capture the flag - each team has a base at a fixed spot near the map edge
+function getBasePositions(engine) {
+    const margin = 150;
+    return [
+        { x: margin, y: engine.height / 2 },
+        { x: engine.width - margin, y: engine.height / 2 },
+        { x: engine.width / 2, y: margin },
+        { x: engine.width / 2, y: engine.height - margin }
+    ];
+}
+
+// Put every flag back on its base (or clear them outside capture the flag)
+function resetFlags(engine) {
+    engine.flags = {};
+    engine.captures = {};
+    engine.tanks.forEach(tank => { tank.carryingFlag = null; });
+    if (engine.mode !== 'captureTheFlag') return;
+
+    const bases = getBasePositions(engine);
+    getActiveTeams().forEach((team, i) => {
+        engine.flags[team] = {
+            team,
+            baseX: bases[i].x,
+            baseY: bases[i].y,
+            x: bases[i].x,
+            y: bases[i].y,
+            size: 30,
+            carrierId: null,
+            atBase: true,
+            droppedAt: 0
+        };
+        engine.captures[team] = 0;
+    });
+}
+
+function returnFlag(flag) {
+    flag.x = flag.baseX;
+    flag.y = flag.baseY;
+    flag.carrierId = null;
+    flag.atBase = true;
+    flag.droppedAt = 0;
+}
+
+function dropFlag(engine, tank) {
+    const flag = engine.flags[tank.carryingFlag];
+    tank.carryingFlag = null;
+    if (!flag) return;
+
+    flag.x = tank.x;
+    flag.y = tank.y;
+    flag.carrierId = null;
+    flag.droppedAt = engine.clock.now();
+    engine.emitEvent({ type: 'flagDropped', team: flag.team, tankId: tank.id, x: flag.x, y: flag.y });
+}
+
+// Flag pickups, returns and captures for one tank, checked like powerups
+function checkFlags(engine, tank) {
+    Object.values(engine.flags).forEach(flag => {
+        if (flag.carrierId || distance(tank, flag) >= (CONFIG.TANK_SIZE + flag.size) / 2) return;
+
+        if (flag.team !== tank.team) {
+            if (tank.carryingFlag) return;
+            flag.carrierId = tank.id;
+            flag.atBase = false;
+            flag.droppedAt = 0;
+            tank.carryingFlag = flag.team;
+            engine.emitEvent({ type: 'flagTaken', team: flag.team, tankId: tank.id, x: flag.x, y: flag.y });
+        } else if (!flag.atBase) {
+            returnFlag(flag);
+            tank.score += CONFIG.CTF_RETURN_POINTS;
+            engine.emit('stats', tank, { score: CONFIG.CTF_RETURN_POINTS });
+            engine.emitEvent({ type: 'flagReturned', team: flag.team, tankId: tank.id });
+            engine.updateScoreboard();
+        }
+    });
+
+    // Score by bringing the enemy flag to our own base while our flag is home
+    const ownFlag = engine.flags[tank.team];
+    if (tank.carryingFlag && ownFlag && ownFlag.atBase &&
+        distance(tank, { x: ownFlag.baseX, y: ownFlag.baseY }) < CONFIG.CTF_BASE_RADIUS) {
+        const captured = engine.flags[tank.carryingFlag];
+        returnFlag(captured);
+        tank.carryingFlag = null;
+        tank.captures++;
+        tank.score += CONFIG.CTF_CAPTURE_POINTS;
+        engine.emit('stats', tank, { score: CONFIG.CTF_CAPTURE_POINTS, captures: 1 });
+        engine.captures[tank.team] = (engine.captures[tank.team] || 0) + 1;
+        engine.emitEvent({ type: 'flagCaptured', team: captured.team, tankId: tank.id, byTeam: tank.team });
+        engine.updateScoreboard();
+    }
+}
+
+// Carried flags follow their carrier, dropped flags go home after a while
+function updateFlags(engine) {
+    const now = engine.clock.now();
+    Object.values(engine.flags).forEach(flag => {
+        if (flag.carrierId) {
+            const carrier = engine.tanks.get(flag.carrierId);
+            if (carrier) {
+                flag.x = carrier.x;
+                flag.y = carrier.y;
+            } else {
+                returnFlag(flag);
+            }
+        } else if (!flag.atBase && now - flag.droppedAt >= CONFIG.CTF_FLAG_RESET_TIME) {
+            returnFlag(flag);
+            engine.emitEvent({ type: 'flagReturned', team: flag.team, tankId: null });
+        }
+    });
+}
+
+module.exports = {
+    resetFlags,
+    dropFlag,
+    checkFlags,
+    updateFlags
+};
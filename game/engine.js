@@ -0,0 +1,772 @@
+const EventEmitter = require('events');
+const { CONFIG, GAME_MODES, ROUND_PHASES, TOURNAMENT_PHASES, OBSTACLE_TYPES, POWERUP_TYPES } = require('./config');
+const { SeededRandom, GameClock, distance, angleDifference, normalizeAngle, checkCollision } = require('./utils');
+const SpatialGrid = require('./spatial-grid');
+const { Tank, Obstacle, Powerup } = require('./entities');
+const BotAI = require('./bot');
+const { isTeamMode, joinTeam, assignTeams, areTeammates, canDamage, getTeamScores } = require('./teams');
+const { resetFlags, dropFlag, checkFlags, updateFlags } = require('./ctf');
+const { createRound, announceElimination, startRound, resetRound, updateRound, getRoundState } = require('./rounds');
+const { createFreePlayMatch, isIntermission, resetMatch, countMatchEvent, updateMatch, applyMatchConfig, getMatchState } = require('./matches');
+const { createTournament, createMatch, releaseAll, countTournamentDeath, updateTournament, getTournamentState } = require('./tournament');
+const { findSafeSpawnPosition, rebuildTankGrid, addObstacle, removeObstacle, addPowerup, removePowerup } = require('./world');
+const { normalizeMap, pickWeighted, getMapInfo } = require('./maps');
+
+// Headless game simulation - one arena's entities, scoreboard and rules, with
+// no timers or sockets. Whoever owns it calls step() at CONFIG.TICK_RATE.
+//
+// Everything clients need to hear about is emitted as 'event' with the message
+// object, and under the message type ('tankDeath', 'playerJoined', ...).
+// Other hooks:
+//   'stats' (tank, changes)       - lifetime stat changes, e.g. { kills: 1 }
+//   'input' (tick, tankId, input) - a player input was applied
+//   'matchStart' / 'matchEnd'     - match boundaries (battle royale rounds, timed and tournament matches,
+//                                   mode and map changes). Timed matches send them as messages too.
+//
+// Without a map (see maps.js) obstacles and powerups appear at random.
+class GameEngine extends EventEmitter {
+    constructor({ mode = CONFIG.GAME_MODE, seed, startTime, map = null } = {}) {
+        super();
+        this.mode = mode;
+        this.map = map ? normalizeMap(map) : null;
+        this.width = this.map ? this.map.width : CONFIG.MAP_WIDTH;
+        this.height = this.map ? this.map.height : CONFIG.MAP_HEIGHT;
+        this.rng = new SeededRandom(seed);
+        this.clock = new GameClock(CONFIG.TICK_RATE, startTime);
+        this.idCounter = 0;
+        this.pendingInputs = []; // Player inputs waiting for the next tick
+        this.friendlyFire = CONFIG.FRIENDLY_FIRE;
+        this.tanks = new Map();
+        this.bullets = [];
+        this.obstacles = [];
+        this.powerups = [];
+        this.tankGrid = new SpatialGrid();
+        this.obstacleGrid = new SpatialGrid();
+        this.powerupGrid = new SpatialGrid();
+        this.scoreboard = [];
+        this.teamScores = [];
+        this.flags = {};    // Capture-the-flag state per team
+        this.captures = {}; // Flag captures per team
+        this.bots = new Map();
+        this.round = createRound();
+        this.match = createFreePlayMatch(); // Timed free-play match, see matches.js
+        this.tournament = null; // Set while a tournament runs here, see tournament.js
+        this.nextObstacleAt = this.clock.now() + CONFIG.OBSTACLE_SPAWN_INTERVAL;
+        this.nextPowerupAt = this.clock.now() + CONFIG.POWERUP_SPAWN_INTERVAL;
+        this.obstacleRespawns = []; // Destroyed map obstacles waiting to come back
+        this.powerupSpawners = [];  // Map powerup spawners and what they hold
+        setupMap(this);
+        resetFlags(this);
+
+        this.on('tankDeath', event => countTournamentDeath(this, event));
+        this.on('obstacleDestroyed', event => countMatchEvent(this, event));
+        this.on('powerupCollect', event => countMatchEvent(this, event));
+    }
+
+    emitEvent(data) {
+        this.emit('event', data);
+        this.emit(data.type, data);
+    }
+
+    // One fixed simulation step: queued inputs, then the game update
+    step() {
+        applyInputs(this);
+        updateGame(this);
+        this.clock.advance();
+    }
+
+    // Entity ids come from a counter so a replayed match produces the same ids
+    nextId(prefix) {
+        return `${prefix}${++this.idCounter}`;
+    }
+
+    // Add a player tank, options are { id, name, primaryColor, secondaryColor, avatarUrl, team, deviceId }
+    addPlayer(options = {}) {
+        const tank = new Tank(
+            this,
+            options.id || this.nextId('player'),
+            options.name,
+            options.primaryColor,
+            options.secondaryColor,
+            options.avatarUrl
+        );
+        tank.deviceId = options.deviceId || null;
+        return this.addTank(tank, options.team);
+    }
+
+    addBot(options = {}) {
+        const id = this.nextId('bot');
+        const tank = new Tank(
+            this,
+            id,
+            options.name || `Bot_${this.rng.int(1000)}`,
+            options.primaryColor || '#FF5722',
+            options.secondaryColor || '#E64A19',
+            '',
+            true
+        );
+        this.bots.set(id, new BotAI(tank, options.difficulty));
+        return this.addTank(tank, options.team);
+    }
+
+    addTank(tank, team) {
+        joinTeam(this, tank, team);
+        // Team spawn points need the team, which is only known now
+        if (this.map) {
+            const pos = findSafeSpawnPosition(this, tank);
+            tank.x = pos.x;
+            tank.y = pos.y;
+        }
+        this.tanks.set(tank.id, tank);
+        this.emitEvent({ type: 'playerJoined', tank: tank.toJSON() });
+        this.updateScoreboard();
+        return tank;
+    }
+
+    removePlayer(id) {
+        const tank = this.tanks.get(id);
+        if (!tank) return false;
+
+        if (tank.carryingFlag) {
+            dropFlag(this, tank);
+        }
+        this.tanks.delete(id);
+        this.bots.delete(id);
+        this.emitEvent({ type: 'playerLeft', playerId: id });
+        this.updateScoreboard();
+        return true;
+    }
+
+    // Inputs arrive between ticks and are applied at the start of the next one.
+    // Input is { type: 'move', moving }, { type: 'rotate', angle } or { type: 'fire' }.
+    applyInput(tankId, input) {
+        if (!this.tanks.has(tankId)) return false;
+        this.pendingInputs.push({ tankId, input });
+        return true;
+    }
+
+    setMode(mode) {
+        // Tournament matches are always deathmatch
+        if (!GAME_MODES.includes(mode) || this.tournament) return false;
+        // A new mode is a new match
+        this.emit('matchEnd');
+        this.mode = mode;
+        resetRound(this);
+        resetMatch(this);
+        assignTeams(this);
+        resetFlags(this);
+        this.updateScoreboard();
+        this.emitEvent({ type: 'gameModeChanged', mode });
+        return true;
+    }
+
+    // Switch to a map layout, or back to random generation with null. Throws
+    // if the map is invalid. Like a mode change this starts a new match.
+    loadMap(data) {
+        const map = data ? normalizeMap(data) : null;
+        this.emit('matchEnd');
+        this.map = map;
+        this.width = map ? map.width : CONFIG.MAP_WIDTH;
+        this.height = map ? map.height : CONFIG.MAP_HEIGHT;
+        resetRound(this);
+        resetMatch(this);
+        setupMap(this);
+        resetFlags(this);
+        // Everyone starts over on the new layout, spread over the spawn points
+        this.tankGrid.clear();
+        this.tanks.forEach(tank => {
+            tank.spawn();
+            this.tankGrid.insert(tank, CONFIG.TANK_SIZE / 2);
+        });
+        this.updateScoreboard();
+        this.emitEvent({ type: 'mapChanged', map: getMapInfo(map), width: this.width, height: this.height });
+        return map;
+    }
+
+    // Catch up with live changes to CONFIG (see live-config.js), given the
+    // names of the changed settings. Types and most settings are read as they
+    // are used, this handles what was copied into the engine and its entities.
+    applyConfig(changed) {
+        if (changed.includes('TICK_RATE')) {
+            this.clock.setTickRate(CONFIG.TICK_RATE);
+        }
+
+        // A shorter spawn interval shouldn't wait out the old one
+        const now = this.clock.now();
+        if (changed.includes('OBSTACLE_SPAWN_INTERVAL')) {
+            this.nextObstacleAt = Math.min(this.nextObstacleAt, now + CONFIG.OBSTACLE_SPAWN_INTERVAL);
+        }
+        if (changed.includes('POWERUP_SPAWN_INTERVAL')) {
+            this.nextPowerupAt = Math.min(this.nextPowerupAt, now + CONFIG.POWERUP_SPAWN_INTERVAL);
+        }
+        if (changed.includes('MATCH_DURATION')) {
+            applyMatchConfig(this);
+        }
+
+        if (changed.includes('BASE_HEALTH') || changed.includes('BASE_FIRE_RATE')) {
+            this.tanks.forEach(tank => {
+                tank.maxHp = CONFIG.BASE_HEALTH;
+                tank.hp = Math.min(tank.hp, tank.maxHp);
+                tank.fireRate = CONFIG.BASE_FIRE_RATE;
+            });
+        }
+
+        // Random arenas are regenerated at the new size, map layouts keep theirs
+        if (!this.map && (changed.includes('MAP_WIDTH') || changed.includes('MAP_HEIGHT'))) {
+            this.loadMap(null);
+        }
+    }
+
+    setFriendlyFire(enabled) {
+        this.friendlyFire = !!enabled;
+        this.emitEvent({ type: 'friendlyFireChanged', enabled: this.friendlyFire });
+    }
+
+    // Skip the battle royale lobby countdown
+    startRound() {
+        const phase = this.round.phase;
+        if (this.mode !== 'battleRoyale' || this.tanks.size < 2 ||
+            (phase !== ROUND_PHASES.LOBBY && phase !== ROUND_PHASES.COUNTDOWN)) {
+            return false;
+        }
+        startRound(this);
+        return true;
+    }
+
+    // Hold everyone out of play until their tournament match comes up.
+    // Tournaments are played as deathmatch.
+    startTournament({ id, name }) {
+        if (this.tournament) return false;
+        if (this.mode !== 'deathmatch') this.setMode('deathmatch');
+        this.tournament = createTournament({ id, name });
+        return true;
+    }
+
+    // Play a bracket match next, once the previous one is over. match is
+    // { id, label, players: [{ deviceId, name }], duration }.
+    scheduleTournamentMatch(match) {
+        const current = this.tournament && this.tournament.match;
+        if (!this.tournament || (current && current.phase !== TOURNAMENT_PHASES.ENDED)) return false;
+        this.tournament.match = createMatch(this, match);
+        this.emitEvent({ type: 'tournamentMatchScheduled', matchId: match.id, label: match.label, players: match.players.map(p => p.name) });
+        return true;
+    }
+
+    // Stop the tournament, a match still running ends without a result
+    endTournament() {
+        if (!this.tournament) return false;
+        const match = this.tournament.match;
+        if (match && match.phase === TOURNAMENT_PHASES.ACTIVE) this.emit('matchEnd');
+        this.tournament = null;
+        releaseAll(this);
+        this.updateScoreboard();
+        return true;
+    }
+
+    resetScoreboard() {
+        this.tanks.forEach(tank => {
+            tank.score = 0;
+            tank.kills = 0;
+            tank.deaths = 0;
+        });
+        this.updateScoreboard();
+        this.emitEvent({ type: 'scoreboardReset' });
+    }
+
+    updateScoreboard() {
+        this.scoreboard = [...this.tanks.values()]
+            .map(t => ({
+                id: t.id,
+                name: t.name,
+                score: t.score,
+                kills: t.kills,
+                deaths: t.deaths,
+                lives: t.lives,
+                eliminated: t.eliminated,
+                roundWins: t.roundWins,
+                team: t.team,
+                isBot: t.isBot
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        this.teamScores = isTeamMode(this) ? getTeamScores(this) : [];
+
+        this.emitEvent({ type: 'scoreboardUpdate', scoreboard: this.scoreboard, teams: this.teamScores });
+    }
+
+    // Full state, sent to clients when they join. tick and time (game clock
+    // ms) say when it is from, clients interpolate between states by them.
+    getSnapshot() {
+        return {
+            tick: this.clock.tick,
+            time: this.clock.now(),
+            tanks: [...this.tanks.values()].map(t => t.toJSON()),
+            bullets: this.bullets,
+            obstacles: this.obstacles,
+            powerups: this.powerups,
+            scoreboard: this.scoreboard,
+            teamScores: this.teamScores,
+            flags: Object.values(this.flags),
+            round: getRoundState(this),
+            match: getMatchState(this),
+            // Results of the last match while they are on screen
+            matchSummary: isIntermission(this) ? this.match.summary : null,
+            tournament: getTournamentState(this)
+        };
+    }
+
+    // Copies of everything clients see each tick, safe to keep and diff later
+    getState() {
+        return {
+            tick: this.clock.tick,
+            time: this.clock.now(),
+            tanks: [...this.tanks.values()].map(t => t.toJSON()),
+            // Bullets fly straight, clients place them from where and when they
+            // were fired, so deltas only carry new and removed ones
+            bullets: this.bullets.map(({ x, y, ...bullet }) => bullet),
+            obstacles: this.obstacles.map(o => ({ ...o })),
+            powerups: this.powerups.map(p => ({ ...p })),
+            flags: Object.values(this.flags).map(f => ({ ...f })),
+            round: getRoundState(this),
+            match: getMatchState(this),
+            tournament: getTournamentState(this)
+        };
+    }
+
+    // What one tank can sense this tick: itself, plus everything within range.
+    // External AI clients get this instead of the full state.
+    getObservation(tankId, range = CONFIG.BOT_SENSE_RANGE) {
+        const tank = this.tanks.get(tankId);
+        if (!tank) return null;
+
+        const inRange = entity => distance(tank, entity) <= range;
+        const now = this.clock.now();
+        return {
+            tick: this.clock.tick,
+            time: now,
+            width: this.width,
+            height: this.height,
+            self: {
+                ...tank.toJSON(),
+                moving: tank.moving,
+                fireRange: tank.getEffectiveStats().range,
+                reloadMs: Math.max(0, tank.lastFire + tank.fireRate - now)
+            },
+            tanks: this.tankGrid.query(tank.x, tank.y, range)
+                .filter(t => t !== tank && inRange(t))
+                .map(t => ({
+                    id: t.id,
+                    name: t.name,
+                    x: t.x,
+                    y: t.y,
+                    angle: t.angle,
+                    hp: t.hp,
+                    maxHp: t.maxHp,
+                    team: t.team,
+                    isBot: t.isBot,
+                    moving: t.moving,
+                    carryingFlag: t.carryingFlag,
+                    spawnProtection: t.spawnProtection,
+                    invincible: t.invincible
+                })),
+            bullets: this.bullets.filter(inRange).map(b => ({
+                id: b.id,
+                ownerId: b.ownerId,
+                x: b.x,
+                y: b.y,
+                angle: b.angle,
+                speed: b.speed,
+                damage: b.damage
+            })),
+            obstacles: this.obstacleGrid.query(tank.x, tank.y, range).filter(inRange).map(o => ({
+                id: o.id,
+                type: o.type,
+                x: o.x,
+                y: o.y,
+                size: o.size,
+                hp: o.hp,
+                destructible: o.destructible
+            })),
+            powerups: this.powerupGrid.query(tank.x, tank.y, range).filter(inRange).map(p => ({
+                id: p.id,
+                type: p.type,
+                x: p.x,
+                y: p.y
+            })),
+            flags: Object.values(this.flags).map(f => ({ ...f })),
+            round: getRoundState(this),
+            match: getMatchState(this),
+            tournament: getTournamentState(this)
+        };
+    }
+}
+
+// Clear the arena and lay out the current map, if there is one
+function setupMap(engine) {
+    engine.bullets = [];
+    engine.obstacles = [];
+    engine.powerups = [];
+    engine.obstacleGrid.clear();
+    engine.powerupGrid.clear();
+    engine.obstacleRespawns = [];
+    engine.powerupSpawners = [];
+    if (!engine.map) return;
+
+    engine.map.obstacles.forEach(layout => {
+        addObstacle(engine, new Obstacle(engine, layout.type, layout));
+    });
+    // Spawners start out full
+    engine.powerupSpawners = engine.map.powerupSpawners.map(spawner => ({
+        spawner,
+        powerup: null,
+        readyAt: engine.clock.now()
+    }));
+}
+
+// Spawn obstacle
+function spawnObstacle(engine) {
+    if (engine.obstacles.length >= CONFIG.MAX_OBSTACLES) return;
+
+    const obstacle = new Obstacle(engine, engine.rng.pick(Object.keys(OBSTACLE_TYPES)));
+
+    // Check for collision with tanks and flag bases
+    const collides = engine.tankGrid.query(obstacle.x, obstacle.y, CONFIG.TANK_SIZE * 2).some(t =>
+        distance(obstacle, t) < CONFIG.TANK_SIZE * 2
+    ) || Object.values(engine.flags).some(f =>
+        distance(obstacle, { x: f.baseX, y: f.baseY }) < CONFIG.CTF_BASE_RADIUS * 2
+    );
+
+    if (!collides) {
+        addObstacle(engine, obstacle);
+        engine.emitEvent({ type: 'obstacleSpawn', obstacle });
+    }
+}
+
+// Spawn powerup
+function spawnPowerup(engine, x, y) {
+    if (engine.powerups.length >= CONFIG.MAX_POWERUPS) return;
+
+    const powerup = new Powerup(engine, engine.rng.pick(Object.keys(POWERUP_TYPES)), x, y);
+
+    addPowerup(engine, powerup);
+    engine.emitEvent({ type: 'powerupSpawn', powerup });
+}
+
+// Explosion effect
+// sourceId is the tank that set the explosion off, used for friendly-fire rules
+function createExplosion(engine, x, y, radius, damage, sourceId = null) {
+    engine.tankGrid.query(x, y, radius).forEach((tank) => {
+        if (tank.eliminated || tank.spawnProtection || tank.invincible) return;
+        if (!canDamage(engine, sourceId, tank)) return;
+
+        const dist = distance({ x, y }, tank);
+        if (dist < radius) {
+            const actualDamage = damage * (1 - dist / radius);
+            tank.hp -= actualDamage;
+
+            if (tank.hp <= 0) {
+                tank.respawn();
+                engine.emitEvent({ type: 'tankDeath', tankId: tank.id, killer: null });
+                if (tank.eliminated) {
+                    announceElimination(engine, tank, null);
+                }
+            }
+        }
+    });
+
+    engine.emitEvent({ type: 'explosion', x, y, radius });
+}
+
+// Update game state
+function updateGame(engine) {
+    const now = engine.clock.now();
+
+    // Advance the battle royale round (countdown, zone, winner)
+    updateRound(engine);
+    // Hold players until their tournament match, and run it
+    updateTournament(engine);
+    // End timed matches, and start the next one after the intermission
+    updateMatch(engine);
+    if (isIntermission(engine)) return;
+    updateSpawns(engine, now);
+    rebuildTankGrid(engine);
+
+    // Bots act at the start of the tick like player inputs do, so every bullet
+    // has flown one step by the end of the tick it was fired on
+    engine.bots.forEach(bot => bot.update());
+
+    // Update tanks
+    engine.tanks.forEach((tank) => {
+        tank.updateTimers(now);
+        if (tank.eliminated) return;
+
+        const stats = tank.getEffectiveStats();
+
+        let dx = 0, dy = 0;
+        if (tank.moving.up) {
+            dx += Math.cos(tank.angle) * stats.speed;
+            dy += Math.sin(tank.angle) * stats.speed;
+        }
+        if (tank.moving.down) {
+            dx -= Math.cos(tank.angle) * stats.speed;
+            dy -= Math.sin(tank.angle) * stats.speed;
+        }
+        if (tank.moving.left) {
+            tank.angle -= CONFIG.TANK_TURN_RATE;
+        }
+        if (tank.moving.right) {
+            tank.angle += CONFIG.TANK_TURN_RATE;
+        }
+        // Aiming turns no faster than the buttons, and the buttons cancel it
+        if (tank.moving.left || tank.moving.right) {
+            tank.targetAngle = null;
+        } else if (tank.targetAngle !== null) {
+            const turn = angleDifference(tank.angle, tank.targetAngle);
+            if (Math.abs(turn) <= CONFIG.TANK_TURN_RATE) {
+                tank.angle = tank.targetAngle;
+                tank.targetAngle = null;
+            } else {
+                tank.angle += Math.sign(turn) * CONFIG.TANK_TURN_RATE;
+            }
+        }
+        // Kept in range, clients and external bots aim relative to it
+        tank.angle = normalizeAngle(tank.angle);
+
+        // Check wall collisions
+        const newX = Math.max(CONFIG.TANK_SIZE / 2, Math.min(engine.width - CONFIG.TANK_SIZE / 2, tank.x + dx));
+        const newY = Math.max(CONFIG.TANK_SIZE / 2, Math.min(engine.height - CONFIG.TANK_SIZE / 2, tank.y + dy));
+
+        // Check obstacle collisions
+        let canMove = true;
+        let barrelToExplode = null;
+        engine.obstacleGrid.query(newX, newY, CONFIG.TANK_SIZE / 2).forEach(obs => {
+            if (distance({ x: newX, y: newY }, obs) < (CONFIG.TANK_SIZE + obs.size) / 2) {
+                if (obs.type === 'BARREL' && obs.destructible) {
+                    barrelToExplode = obs;
+                } else {
+                    canMove = false;
+                }
+            }
+        });
+
+        // Handle barrel collision - tank bumps into it and it explodes
+        if (barrelToExplode) {
+            if (removeObstacle(engine, barrelToExplode)) {
+                const posBeforeExplosion = { x: tank.x, y: tank.y };
+                createExplosion(engine, barrelToExplode.x, barrelToExplode.y, barrelToExplode.config.explosionRadius, barrelToExplode.config.explosionDamage, tank.id);
+                engine.emitEvent({ type: 'obstacleDestroyed', obstacleId: barrelToExplode.id, tankId: tank.id });
+                // If tank died and respawned, don't overwrite its new position
+                if (tank.eliminated || tank.x !== posBeforeExplosion.x || tank.y !== posBeforeExplosion.y) {
+                    return; // Tank respawned to new location, skip position update
+                }
+            }
+        }
+
+        if (canMove) {
+            tank.x = newX;
+            tank.y = newY;
+        }
+
+        // Check flag pickups and captures
+        checkFlags(engine, tank);
+
+        // Check powerup collisions
+        engine.powerupGrid.query(tank.x, tank.y, CONFIG.TANK_SIZE / 2).forEach(powerup => {
+            if (distance(tank, powerup) < (CONFIG.TANK_SIZE + powerup.size) / 2) {
+                removePowerup(engine, powerup);
+                // Handle MYSTERY powerup specially
+                if (powerup.type === 'MYSTERY') {
+                    const mysteryConfig = POWERUP_TYPES.MYSTERY;
+                    if (engine.rng.next() < mysteryConfig.explodeChance) {
+                        // Bad luck - it explodes!
+                        engine.emitEvent({ type: 'mysteryExplode', tankId: tank.id, x: powerup.x, y: powerup.y, radius: mysteryConfig.explosionRadius });
+                        createExplosion(engine, powerup.x, powerup.y, mysteryConfig.explosionRadius, mysteryConfig.explosionDamage, tank.id);
+                    } else {
+                        // Good luck - give a random real powerup
+                        const realPowerups = ['SPEED', 'POWER', 'HEALTH', 'RANGE', 'INVINCIBILITY'];
+                        const randomType = engine.rng.pick(realPowerups);
+                        tank.applyPowerup(randomType);
+                        engine.emitEvent({ type: 'powerupCollect', tankId: tank.id, powerupType: randomType, x: powerup.x, y: powerup.y, wasMystery: true });
+                    }
+                } else {
+                    tank.applyPowerup(powerup.type);
+                    engine.emitEvent({ type: 'powerupCollect', tankId: tank.id, powerupType: powerup.type, x: powerup.x, y: powerup.y });
+                }
+            }
+        });
+    });
+
+    // Tanks have moved (and maybe respawned) since the start of the tick
+    rebuildTankGrid(engine);
+
+    // Update bullets
+    engine.bullets = engine.bullets.filter(bullet => {
+        bullet.update();
+
+        if (bullet.isOutOfBounds(engine.width, engine.height) || bullet.isOutOfRange()) {
+            return false;
+        }
+
+        // Check tank collisions
+        let hitTank = false;
+        engine.tankGrid.query(bullet.x, bullet.y, CONFIG.BULLET_SIZE / 2).forEach(tank => {
+            if (tank.id === bullet.ownerId) return;
+            if (tank.eliminated || tank.spawnProtection || tank.invincible) return;
+            // Without friendly fire, bullets pass through teammates
+            if (!canDamage(engine, bullet.ownerId, tank)) return;
+
+            if (checkCollision(bullet, tank, CONFIG.BULLET_SIZE, CONFIG.TANK_SIZE)) {
+                tank.hp -= bullet.damage;
+                hitTank = true;
+
+                if (tank.hp <= 0) {
+                    const attacker = engine.tanks.get(bullet.ownerId);
+                    // Team kills score nothing
+                    if (attacker && !areTeammates(engine, attacker, tank)) {
+                        const points = tank.isBot ? 50 : 100;
+                        attacker.score += points;
+                        attacker.kills++;
+                        attacker.streak++;
+                        engine.emit('stats', attacker, { kills: 1, score: points });
+                        engine.updateScoreboard();
+                    }
+                    tank.respawn();
+                    engine.emitEvent({
+                        type: 'tankDeath',
+                        tankId: tank.id,
+                        killerId: bullet.ownerId,
+                        wasBot: tank.isBot
+                    });
+                    if (tank.eliminated) {
+                        announceElimination(engine, tank, bullet.ownerId);
+                    }
+                }
+            }
+        });
+
+        if (hitTank) return false;
+
+        // Check obstacle collisions
+        for (const obs of engine.obstacleGrid.query(bullet.x, bullet.y, CONFIG.BULLET_SIZE / 2)) {
+            if (checkCollision(bullet, obs, CONFIG.BULLET_SIZE, obs.size)) {
+                const destroyed = obs.takeDamage(bullet.damage);
+
+                if (destroyed) {
+                    // Award points to shooter
+                    const attacker = engine.tanks.get(bullet.ownerId);
+                    if (attacker) {
+                        attacker.score += obs.config.points;
+                        engine.emit('stats', attacker, { score: obs.config.points });
+                        engine.updateScoreboard();
+                    }
+
+                    if (obs.config.explosive) {
+                        createExplosion(engine, obs.x, obs.y, obs.config.explosionRadius, obs.config.explosionDamage, bullet.ownerId);
+                    }
+
+                    if (obs.config.containsPowerup) {
+                        if (engine.rng.next() < 0.7) {
+                            spawnPowerup(engine, obs.x, obs.y);
+                        } else {
+                            // Spawn bomb (explosion)
+                            createExplosion(engine, obs.x, obs.y, 60, 30, bullet.ownerId);
+                        }
+                    }
+
+                    removeObstacle(engine, obs);
+                    engine.emitEvent({ type: 'obstacleDestroyed', obstacleId: obs.id, tankId: bullet.ownerId });
+                }
+
+                return false;
+            }
+        }
+
+        return true;
+    });
+
+    // Move carried flags and return abandoned ones
+    updateFlags(engine);
+}
+
+// Obstacles and powerups appear on the game clock rather than on timers, so a
+// replayed match spawns them on the same ticks
+function updateSpawns(engine, now) {
+    const map = engine.map;
+    if (now >= engine.nextObstacleAt) {
+        engine.nextObstacleAt = now + CONFIG.OBSTACLE_SPAWN_INTERVAL;
+        if (!map || map.randomObstacles) spawnObstacle(engine);
+    }
+    if (now >= engine.nextPowerupAt) {
+        engine.nextPowerupAt = now + CONFIG.POWERUP_SPAWN_INTERVAL;
+        if (!map || map.randomPowerups) spawnPowerup(engine);
+    }
+    if (map) updateMapSpawns(engine, now);
+}
+
+// Destroyed map obstacles and emptied powerup spawners refill on their timers
+function updateMapSpawns(engine, now) {
+    engine.obstacleRespawns = engine.obstacleRespawns.filter(entry => {
+        if (now < entry.at) return true;
+
+        // Wait for tanks to move off the spot rather than trapping them
+        const blocked = engine.tankGrid.query(entry.x, entry.y, CONFIG.TANK_SIZE).some(t =>
+            distance(entry, t) < CONFIG.TANK_SIZE
+        );
+        if (blocked) return true;
+
+        const obstacle = new Obstacle(engine, entry.type, entry);
+        addObstacle(engine, obstacle);
+        engine.emitEvent({ type: 'obstacleSpawn', obstacle });
+        return false;
+    });
+
+    engine.powerupSpawners.forEach(entry => {
+        if (entry.powerup && engine.powerups.includes(entry.powerup)) {
+            // The timer only starts once the powerup has been taken
+            entry.readyAt = now + entry.spawner.interval;
+            return;
+        }
+        entry.powerup = null;
+        if (now < entry.readyAt) return;
+
+        const { x, y, types } = entry.spawner;
+        const powerup = new Powerup(engine, pickWeighted(engine.rng, types), x, y);
+        entry.powerup = powerup;
+        addPowerup(engine, powerup);
+        engine.emitEvent({ type: 'powerupSpawn', powerup });
+    });
+}
+
+function applyInputs(engine) {
+    const inputs = engine.pendingInputs;
+    engine.pendingInputs = [];
+
+    inputs.forEach(({ tankId, input }) => {
+        const tank = engine.tanks.get(tankId);
+        if (!tank) return;
+
+        engine.emit('input', engine.clock.tick, tankId, input);
+
+        switch (input.type) {
+            case 'move':
+                tank.moving = input.moving;
+                break;
+
+            case 'rotate':
+                tank.targetAngle = normalizeAngle(input.angle);
+                break;
+
+            case 'fire': {
+                // Nobody shoots while the match results are up
+                if (isIntermission(engine)) break;
+                const bullet = tank.fire();
+                if (bullet) {
+                    engine.emitEvent({ type: 'bulletFired', bullet, ownerId: tankId });
+                }
+                break;
+            }
+        }
+    });
+}
+
+module.exports = GameEngine;
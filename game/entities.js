@@ -0,0 +1,333 @@
+const { CONFIG, OBSTACLE_TYPES, POWERUP_TYPES } = require('./config');
+const { randomPosition, validateTankColor, sanitizeTankName, distance } = require('./utils');
+const { isRoundActive } = require('./rounds');
+const { dropFlag } = require('./ctf');
+const { findSafeSpawnPosition } = require('./world');
+
+// Tank class
+class Tank {
+    constructor(engine, id, name, primaryColor, secondaryColor, avatarUrl, isBot = false) {
+        const spawnPos = findSafeSpawnPosition(engine);
+        this.engine = engine;
+        this.id = id;
+        this.name = sanitizeTankName(name);
+        this.primaryColor = validateTankColor(primaryColor, engine.rng) || '#4CAF50';
+        this.secondaryColor = validateTankColor(secondaryColor, engine.rng) || '#2E7D32';
+        this.avatarUrl = avatarUrl || '';
+        this.x = spawnPos.x;
+        this.y = spawnPos.y;
+        this.angle = engine.rng.next() * Math.PI * 2;
+        this.targetAngle = null; // Where a 'rotate' input aims, reached at TANK_TURN_RATE
+        this.hp = CONFIG.BASE_HEALTH;
+        this.maxHp = CONFIG.BASE_HEALTH;
+        this.speed = CONFIG.BASE_TANK_SPEED;
+        this.damage = CONFIG.BASE_DAMAGE;
+        this.fireRange = CONFIG.BASE_FIRE_RANGE;
+        this.fireRate = CONFIG.BASE_FIRE_RATE;
+        this.lastFire = 0;
+        this.score = 0;
+        this.kills = 0;
+        this.deaths = 0;
+        this.streak = 0; // Kills since last death
+        this.isBot = isBot;
+        this.spawnProtection = true;
+        this.spawnProtectionEnd = engine.clock.now() + CONFIG.SPAWN_PROTECTION_TIME;
+        this.invincible = false;
+        this.powerups = {};
+        this.moving = { up: false, down: false, left: false, right: false };
+        this.roundWins = 0;
+        this.team = null;
+        this.carryingFlag = null; // Team key of the enemy flag this tank holds
+        this.captures = 0;
+        // Tanks joining mid-round spectate until the next round
+        this.eliminated = isRoundActive(engine);
+        this.lives = this.eliminated ? 0 : CONFIG.ROUND_LIVES;
+        this.waiting = false; // Held out of play until its tournament match
+    }
+
+    applyPowerup(type) {
+        const powerup = POWERUP_TYPES[type];
+        if (!powerup) return;
+
+        // Health is instant, no stacking
+        if (type === 'HEALTH') {
+            this.hp = Math.min(this.maxHp, this.hp + powerup.amount);
+            return;
+        }
+
+        const now = this.engine.clock.now();
+        const durationMs = powerup.duration * 1000; // Convert seconds to ms
+        const expiresAt = durationMs > 0 ? now + durationMs : 0; // 0 = never expires
+
+        // Initialize or update powerup stack
+        if (!this.powerups[type] || (this.powerups[type].expiresAt > 0 && now >= this.powerups[type].expiresAt)) {
+            // New powerup or expired - start fresh
+            this.powerups[type] = { stacks: 1, expiresAt: expiresAt };
+        } else if (this.powerups[type].stacks < powerup.maxStacks) {
+            // Add stack if under max
+            this.powerups[type].stacks++;
+            // Refresh duration
+            if (durationMs > 0) {
+                this.powerups[type].expiresAt = expiresAt;
+            }
+        } else {
+            // At max stacks, just refresh duration
+            if (durationMs > 0) {
+                this.powerups[type].expiresAt = expiresAt;
+            }
+        }
+
+        // Handle invincibility specially, it runs out in updateTimers()
+        if (type === 'INVINCIBILITY') {
+            this.invincible = true;
+            this.invincibilityEnd = expiresAt;
+        }
+    }
+
+    // Timed effects run off the game clock, checked every tick
+    updateTimers(now) {
+        if (this.spawnProtection && now >= this.spawnProtectionEnd) {
+            this.spawnProtection = false;
+        }
+        if (this.invincible && this.invincibilityEnd && now >= this.invincibilityEnd) {
+            this.invincible = false;
+            delete this.powerups.INVINCIBILITY;
+        }
+    }
+
+    getEffectiveStats() {
+        let speed = CONFIG.BASE_TANK_SPEED;
+        let damage = CONFIG.BASE_DAMAGE;
+        let range = CONFIG.BASE_FIRE_RANGE;
+
+        const now = this.engine.clock.now();
+
+        // Apply SPEED powerup with stacking
+        const speedPowerup = this.powerups.SPEED;
+        if (speedPowerup && (speedPowerup.expiresAt === 0 || now < speedPowerup.expiresAt)) {
+            // Apply multiplier for each stack
+            for (let i = 0; i < speedPowerup.stacks; i++) {
+                speed *= POWERUP_TYPES.SPEED.multiplier;
+            }
+        } else if (speedPowerup) {
+            delete this.powerups.SPEED; // Cleanup expired
+        }
+
+        // Apply POWER powerup with stacking
+        const powerPowerup = this.powerups.POWER;
+        if (powerPowerup && (powerPowerup.expiresAt === 0 || now < powerPowerup.expiresAt)) {
+            for (let i = 0; i < powerPowerup.stacks; i++) {
+                damage *= POWERUP_TYPES.POWER.multiplier;
+            }
+        } else if (powerPowerup) {
+            delete this.powerups.POWER;
+        }
+
+        // Apply RANGE powerup with stacking
+        const rangePowerup = this.powerups.RANGE;
+        if (rangePowerup && (rangePowerup.expiresAt === 0 || now < rangePowerup.expiresAt)) {
+            for (let i = 0; i < rangePowerup.stacks; i++) {
+                range *= POWERUP_TYPES.RANGE.multiplier;
+            }
+        } else if (rangePowerup) {
+            delete this.powerups.RANGE;
+        }
+
+        return { speed, damage, range };
+    }
+
+    // Returns the new bullet, or null while reloading
+    fire() {
+        if (this.eliminated) return null;
+
+        const now = this.engine.clock.now();
+        if (now - this.lastFire < this.fireRate) return null;
+
+        this.lastFire = now;
+        const stats = this.getEffectiveStats();
+
+        const bullet = new Bullet(
+            this.engine,
+            this.id,
+            this.x + Math.cos(this.angle) * (CONFIG.TANK_SIZE / 2 + 5),
+            this.y + Math.sin(this.angle) * (CONFIG.TANK_SIZE / 2 + 5),
+            this.angle,
+            stats.damage,
+            stats.range
+        );
+
+        this.engine.bullets.push(bullet);
+        return bullet;
+    }
+
+    resetPowerups() {
+        this.powerups = {};
+        this.speed = CONFIG.BASE_TANK_SPEED;
+        this.damage = CONFIG.BASE_DAMAGE;
+        this.fireRange = CONFIG.BASE_FIRE_RANGE;
+        this.invincible = false;
+    }
+
+    respawn() {
+        this.deaths++;
+        this.streak = 0;
+        this.engine.emit('stats', this, { deaths: 1 });
+
+        // A carried flag falls where the tank died
+        if (this.carryingFlag) {
+            dropFlag(this.engine, this);
+        }
+
+        // Every death in an active round costs a life
+        if (isRoundActive(this.engine)) {
+            this.lives--;
+            if (this.lives <= 0) {
+                this.eliminate();
+                return;
+            }
+        }
+
+        this.spawn();
+    }
+
+    // Place the tank at a fresh spawn point with full health
+    spawn() {
+        const spawnPos = findSafeSpawnPosition(this.engine, this);
+        this.x = spawnPos.x;
+        this.y = spawnPos.y;
+        this.hp = CONFIG.BASE_HEALTH;
+        this.angle = this.engine.rng.next() * Math.PI * 2;
+        this.targetAngle = null;
+        this.resetPowerups();
+        this.eliminated = false;
+        this.spawnProtection = true;
+        this.spawnProtectionEnd = this.engine.clock.now() + CONFIG.SPAWN_PROTECTION_TIME;
+    }
+
+    // Out of lives - the tank stays on the map list as a spectator
+    eliminate() {
+        this.eliminated = true;
+        this.lives = 0;
+        this.hp = 0;
+        this.moving = { up: false, down: false, left: false, right: false };
+        this.resetPowerups();
+        this.spawnProtection = false;
+    }
+
+    toJSON() {
+        const now = this.engine.clock.now();
+        // Build active powerups with stack info
+        const activePowerups = {};
+        for (const [type, data] of Object.entries(this.powerups)) {
+            if (data.expiresAt === 0 || now < data.expiresAt) {
+                activePowerups[type] = {
+                    stacks: data.stacks,
+                    expiresAt: data.expiresAt,
+                    maxStacks: POWERUP_TYPES[type]?.maxStacks || 1
+                };
+            }
+        }
+
+        return {
+            id: this.id,
+            name: this.name,
+            primaryColor: this.primaryColor,
+            secondaryColor: this.secondaryColor,
+            avatarUrl: this.avatarUrl,
+            x: this.x,
+            y: this.y,
+            angle: this.angle,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            score: this.score,
+            kills: this.kills,
+            deaths: this.deaths,
+            isBot: this.isBot,
+            team: this.team,
+            carryingFlag: this.carryingFlag,
+            captures: this.captures,
+            lives: this.lives,
+            eliminated: this.eliminated,
+            waiting: this.waiting,
+            spawnProtection: this.spawnProtection,
+            invincible: this.invincible,
+            invincibilityEnd: this.invincibilityEnd || 0,
+            powerups: activePowerups
+        };
+    }
+}
+
+// Bullet class
+class Bullet {
+    constructor(engine, ownerId, x, y, angle, damage, range) {
+        this.id = engine.nextId('b');
+        this.ownerId = ownerId;
+        this.x = x;
+        this.y = y;
+        this.startX = x;
+        this.startY = y;
+        this.angle = angle;
+        this.damage = damage;
+        this.range = range;
+        this.speed = CONFIG.BULLET_SPEED;
+        this.firedAt = engine.clock.now(); // Game time it left (startX, startY), it moves speed per tick
+    }
+
+    update() {
+        this.x += Math.cos(this.angle) * this.speed;
+        this.y += Math.sin(this.angle) * this.speed;
+    }
+
+    isOutOfRange() {
+        return distance(this, { x: this.startX, y: this.startY }) > this.range;
+    }
+
+    isOutOfBounds(width, height) {
+        return this.x < 0 || this.x > width ||
+               this.y < 0 || this.y > height;
+    }
+}
+
+// Obstacle class
+// layout is the map entry for obstacles placed by a map, random otherwise
+class Obstacle {
+    constructor(engine, type, layout = null) {
+        const pos = layout || randomPosition(engine);
+        this.id = engine.nextId('o');
+        this.type = type;
+        this.x = pos.x;
+        this.y = pos.y;
+        this.hp = OBSTACLE_TYPES[type].hp;
+        this.maxHp = OBSTACLE_TYPES[type].hp;
+        this.size = OBSTACLE_TYPES[type].size;
+        this.config = OBSTACLE_TYPES[type];
+        this.destructible = layout ? layout.destructible : true;
+        this.respawnTime = layout ? layout.respawnTime : 0;
+    }
+
+    takeDamage(damage) {
+        if (!this.destructible) return false;
+        this.hp -= damage;
+        return this.hp <= 0;
+    }
+}
+
+// Powerup class
+class Powerup {
+    constructor(engine, type, x, y) {
+        const pos = x && y ? { x, y } : randomPosition(engine);
+        this.id = engine.nextId('p');
+        this.type = type;
+        this.x = pos.x;
+        this.y = pos.y;
+        this.config = POWERUP_TYPES[type];
+        this.size = 25;
+    }
+}
+
+module.exports = {
+    Tank,
+    Bullet,
+    Obstacle,
+    Powerup
+};
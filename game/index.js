@@ -0,0 +1,23 @@
+// The game simulation without any networking, for the server and for tools
+// that run matches on their own (bot trainers, replays, tests):
+//
+//   const { GameEngine } = require('./game');
+//   const engine = new GameEngine({ mode: 'deathmatch', seed: 42 });
+//   engine.on('tankDeath', event => ...);
+//   const tank = engine.addPlayer({ name: 'Alice' });
+//   engine.applyInput(tank.id, { type: 'fire' });
+//   engine.step();
+const config = require('./config');
+const GameEngine = require('./engine');
+const { Tank, Bullet, Obstacle, Powerup } = require('./entities');
+const BotAI = require('./bot');
+
+module.exports = {
+    ...config,
+    GameEngine,
+    Tank,
+    Bullet,
+    Obstacle,
+    Powerup,
+    BotAI
+};
@@ -0,0 +1,125 @@
+const { CONFIG, OBSTACLE_TYPES, POWERUP_TYPES } = require('./config');
+
+// Settings the admin panel can change while the server runs, with their
+// allowed ranges. Everything else in CONFIG needs a restart.
+const CONFIG_LIMITS = {
+    MAP_WIDTH: { min: 800, max: 6000, integer: true },
+    MAP_HEIGHT: { min: 600, max: 6000, integer: true },
+    TICK_RATE: { min: 10, max: 120, integer: true },
+    BASE_TANK_SPEED: { min: 0.5, max: 20 },
+    BASE_FIRE_RATE: { min: 50, max: 5000, integer: true },
+    BASE_DAMAGE: { min: 1, max: 500 },
+    BASE_HEALTH: { min: 1, max: 1000, integer: true },
+    BASE_FIRE_RANGE: { min: 50, max: 5000 },
+    TANK_TURN_RATE: { min: 0.01, max: 1 },
+    BULLET_SPEED: { min: 1, max: 40 },
+    SPAWN_PROTECTION_TIME: { min: 0, max: 60000, integer: true },
+    OBSTACLE_SPAWN_INTERVAL: { min: 500, max: 600000, integer: true },
+    POWERUP_SPAWN_INTERVAL: { min: 500, max: 600000, integer: true },
+    MAX_OBSTACLES: { min: 0, max: 300, integer: true },
+    MAX_POWERUPS: { min: 0, max: 100, integer: true },
+    MATCH_DURATION: { min: 0, max: 7200000, integer: true },
+    MATCH_SCORE_LIMIT: { min: 0, max: 1000000, integer: true },
+    MATCH_INTERMISSION: { min: 3000, max: 300000, integer: true }
+};
+
+// Per-type fields, only editable on types that already have them. Obstacle
+// sizes stay fixed since saved maps are checked against them.
+const OBSTACLE_LIMITS = {
+    hp: { min: 1, max: 2000, integer: true },
+    points: { min: 0, max: 1000, integer: true },
+    explosionRadius: { min: 0, max: 600 },
+    explosionDamage: { min: 0, max: 1000 }
+};
+
+const POWERUP_LIMITS = {
+    multiplier: { min: 1, max: 5 },
+    amount: { min: 1, max: 1000, integer: true },
+    duration: { min: 0, max: 300 },
+    maxStacks: { min: 1, max: 10, integer: true },
+    explodeChance: { min: 0, max: 1 },
+    explosionRadius: { min: 0, max: 600 },
+    explosionDamage: { min: 0, max: 1000 }
+};
+
+function pick(source, limits) {
+    const values = {};
+    Object.keys(limits).forEach(key => {
+        if (source[key] !== undefined) values[key] = source[key];
+    });
+    return values;
+}
+
+function pickTypes(types, limits) {
+    const values = {};
+    Object.entries(types).forEach(([type, settings]) => {
+        values[type] = pick(settings, limits);
+    });
+    return values;
+}
+
+// Current values and limits, for the admin panel
+function getEditableConfig() {
+    return {
+        config: pick(CONFIG, CONFIG_LIMITS),
+        obstacleTypes: pickTypes(OBSTACLE_TYPES, OBSTACLE_LIMITS),
+        powerupTypes: pickTypes(POWERUP_TYPES, POWERUP_LIMITS),
+        limits: { config: CONFIG_LIMITS, obstacleTypes: OBSTACLE_LIMITS, powerupTypes: POWERUP_LIMITS }
+    };
+}
+
+function checkValue(name, value, limit) {
+    if (!limit) {
+        throw new Error(`${name} can't be changed`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a number`);
+    }
+    if (limit.integer && !Number.isInteger(value)) {
+        throw new Error(`${name} must be a whole number`);
+    }
+    if (value < limit.min || value > limit.max) {
+        throw new Error(`${name} must be between ${limit.min} and ${limit.max}`);
+    }
+}
+
+// Collect [target, key, value] assignments for { TYPE: { field: value } }
+function collectTypeChanges(label, types, changes, limits, assignments) {
+    Object.entries(changes || {}).forEach(([type, fields]) => {
+        const settings = Object.hasOwn(types, type) ? types[type] : null;
+        if (!settings || !fields || typeof fields !== 'object') {
+            throw new Error(`Unknown ${label} type ${type}`);
+        }
+        Object.entries(fields).forEach(([field, value]) => {
+            const name = `${type}.${field}`;
+            checkValue(name, value, settings[field] !== undefined && Object.hasOwn(limits, field) ? limits[field] : null);
+            assignments.push([settings, field, value, name]);
+        });
+    });
+}
+
+// Apply { config, obstacleTypes, powerupTypes } to the live settings. Nothing
+// is changed if any value is invalid, the error says which. Returns the names
+// of the settings that actually changed, e.g. ['TICK_RATE', 'TREE.hp'].
+function updateConfig({ config, obstacleTypes, powerupTypes } = {}) {
+    const assignments = [];
+    Object.entries(config || {}).forEach(([key, value]) => {
+        checkValue(key, value, Object.hasOwn(CONFIG_LIMITS, key) ? CONFIG_LIMITS[key] : null);
+        assignments.push([CONFIG, key, value, key]);
+    });
+    collectTypeChanges('obstacle', OBSTACLE_TYPES, obstacleTypes, OBSTACLE_LIMITS, assignments);
+    collectTypeChanges('powerup', POWERUP_TYPES, powerupTypes, POWERUP_LIMITS, assignments);
+
+    const changed = [];
+    assignments.forEach(([target, key, value, name]) => {
+        if (target[key] === value) return;
+        target[key] = value;
+        changed.push(name);
+    });
+    return changed;
+}
+
+module.exports = {
+    getEditableConfig,
+    updateConfig
+};
@@ -0,0 +1,165 @@
+const { CONFIG, TEAMS, OBSTACLE_TYPES, POWERUP_TYPES } = require('./config');
+const { checkCollision } = require('./utils');
+
+// Authored map layout. Everything but the size is optional:
+// {
+//   "name": "Crossroads",
+//   "width": 2000, "height": 1200,
+//   "obstacles": [{ "type": "WALL", "x": 400, "y": 300, "destructible": false },
+//                 { "type": "CRATE", "x": 1000, "y": 600, "respawnTime": 30000 }],
+//   "spawnPoints": [{ "x": 150, "y": 150, "team": "RED" }],
+//   "powerupSpawners": [{ "x": 1000, "y": 200, "interval": 15000, "types": { "HEALTH": 3, "SPEED": 1 } }],
+//   "randomObstacles": false,
+//   "randomPowerups": false
+// }
+// respawnTime (ms) brings a destroyed obstacle back, 0 leaves it destroyed.
+// Spawners hold one powerup at a time and refill interval ms after it is taken,
+// types is a weight table. Spawn points with a team are only used by that team.
+// randomObstacles / randomPowerups keep the timed random spawning running on top.
+const MAP_LIMITS = {
+    MIN_SIZE: 400,
+    MAX_SIZE: 8000,
+    MAX_OBSTACLES: 1000,
+    MAX_SPAWN_POINTS: 64,
+    MAX_SPAWNERS: 64,
+    MIN_SPAWNER_INTERVAL: 1000
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Validates a map and fills in defaults. Throws an Error saying what is wrong.
+function normalizeMap(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Map must be a JSON object');
+    }
+
+    const width = data.width === undefined ? CONFIG.MAP_WIDTH : data.width;
+    const height = data.height === undefined ? CONFIG.MAP_HEIGHT : data.height;
+    [['width', width], ['height', height]].forEach(([key, value]) => {
+        if (!Number.isInteger(value) || value < MAP_LIMITS.MIN_SIZE || value > MAP_LIMITS.MAX_SIZE) {
+            throw new Error(`Map ${key} must be a whole number from ${MAP_LIMITS.MIN_SIZE} to ${MAP_LIMITS.MAX_SIZE}`);
+        }
+    });
+
+    const list = (key, max) => {
+        const value = data[key] === undefined ? [] : data[key];
+        if (!Array.isArray(value)) throw new Error(`Map ${key} must be a list`);
+        if (value.length > max) throw new Error(`Map has more than ${max} ${key}`);
+        return value;
+    };
+    const position = (item, label) => {
+        if (!item || typeof item !== 'object' || !isNumber(item.x) || !isNumber(item.y)) {
+            throw new Error(`${label} needs numeric x and y`);
+        }
+        if (item.x < 0 || item.x > width || item.y < 0 || item.y > height) {
+            throw new Error(`${label} is outside the map`);
+        }
+        return { x: item.x, y: item.y };
+    };
+
+    const obstacles = list('obstacles', MAP_LIMITS.MAX_OBSTACLES).map((item, i) => {
+        const label = `Obstacle ${i + 1}`;
+        const pos = position(item, label);
+        if (!OBSTACLE_TYPES[item.type]) throw new Error(`${label} has unknown type "${item.type}"`);
+        const respawnTime = item.respawnTime === undefined ? 0 : item.respawnTime;
+        if (!isNumber(respawnTime) || respawnTime < 0) throw new Error(`${label} has an invalid respawnTime`);
+        return {
+            type: item.type,
+            ...pos,
+            destructible: item.destructible !== false,
+            respawnTime
+        };
+    });
+
+    const spawnPoints = list('spawnPoints', MAP_LIMITS.MAX_SPAWN_POINTS).map((item, i) => {
+        const label = `Spawn point ${i + 1}`;
+        const pos = position(item, label);
+        const team = item.team ? String(item.team).toUpperCase() : null;
+        if (team && !TEAMS[team]) throw new Error(`${label} has unknown team "${item.team}"`);
+        return { ...pos, team };
+    });
+
+    const powerupSpawners = list('powerupSpawners', MAP_LIMITS.MAX_SPAWNERS).map((item, i) => {
+        const label = `Powerup spawner ${i + 1}`;
+        const pos = position(item, label);
+        const interval = item.interval === undefined ? CONFIG.POWERUP_SPAWN_INTERVAL : item.interval;
+        if (!isNumber(interval) || interval < MAP_LIMITS.MIN_SPAWNER_INTERVAL) {
+            throw new Error(`${label} interval must be at least ${MAP_LIMITS.MIN_SPAWNER_INTERVAL}ms`);
+        }
+        // No table means every powerup type is equally likely
+        const types = {};
+        Object.entries(item.types || {}).forEach(([type, weight]) => {
+            if (!POWERUP_TYPES[type]) throw new Error(`${label} has unknown powerup type "${type}"`);
+            if (!isNumber(weight) || weight < 0) throw new Error(`${label} has an invalid weight for ${type}`);
+            if (weight > 0) types[type] = weight;
+        });
+        if (Object.keys(types).length === 0) {
+            Object.keys(POWERUP_TYPES).forEach(type => { types[type] = 1; });
+        }
+        return { ...pos, interval, types };
+    });
+
+    return {
+        id: typeof data.id === 'string' ? data.id : null,
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim().substring(0, 40) : 'Untitled',
+        width,
+        height,
+        obstacles,
+        spawnPoints,
+        powerupSpawners,
+        randomObstacles: !!data.randomObstacles,
+        randomPowerups: !!data.randomPowerups
+    };
+}
+
+// Spawn points a tank can't use because it would overlap an obstacle or stick
+// out of the map. Returns their indexes.
+function getBlockedSpawnPoints(map) {
+    const half = CONFIG.TANK_SIZE / 2;
+    const blocked = [];
+    map.spawnPoints.forEach((point, i) => {
+        const outside = point.x < half || point.y < half ||
+            point.x > map.width - half || point.y > map.height - half;
+        if (outside || map.obstacles.some(obs =>
+            checkCollision(point, obs, CONFIG.TANK_SIZE, OBSTACLE_TYPES[obs.type].size))) {
+            blocked.push(i);
+        }
+    });
+    return blocked;
+}
+
+// Pick a key from a { key: weight } table
+function pickWeighted(rng, weights) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = rng.next() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// Short description for room lists and clients
+function getMapInfo(map) {
+    if (!map) return null;
+    return {
+        id: map.id,
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        obstacles: map.obstacles.length,
+        spawnPoints: map.spawnPoints.length,
+        powerupSpawners: map.powerupSpawners.length
+    };
+}
+
+module.exports = {
+    MAP_LIMITS,
+    normalizeMap,
+    getBlockedSpawnPoints,
+    pickWeighted,
+    getMapInfo
+};
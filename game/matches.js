@@ -0,0 +1,235 @@
+const { CONFIG, MATCH_PHASES } = require('./config');
+const { isTeamMode } = require('./teams');
+const { resetFlags } = require('./ctf');
+
+// Timed matches for the free-play modes. A match ends when MATCH_DURATION runs
+// out or the leader reaches MATCH_SCORE_LIMIT, then play freezes for
+// MATCH_INTERMISSION while the results are up and the next match starts with
+// the scores reset. Battle royale rounds and tournament matches end by their
+// own rules, so neither uses these.
+
+// Awards in the order they are shown, for the best value of stat among the
+// players of a match. Ties go to the higher score.
+const AWARDS = [
+    { id: 'mvp', title: 'MVP', stat: 'score' },
+    { id: 'mostKills', title: 'Most kills', stat: 'kills' },
+    { id: 'mostObstacles', title: 'Most obstacles destroyed', stat: 'obstacles' },
+    { id: 'mostPowerups', title: 'Most powerups', stat: 'powerups' },
+    // Only for tanks that played at least half the match, fewest deaths wins
+    { id: 'survivor', title: 'Survivor', stat: 'deaths', fewest: true }
+];
+
+function createFreePlayMatch(number = 0) {
+    return {
+        phase: MATCH_PHASES.WAITING,
+        number,
+        startedAt: 0,
+        endsAt: 0,
+        endedAt: 0,
+        nextMatchAt: 0,
+        players: {}, // By tank id: { joinedAt, obstacles, powerups }
+        summary: null
+    };
+}
+
+function usesTimedMatches(engine) {
+    return engine.mode !== 'battleRoyale' && !engine.tournament &&
+        (CONFIG.MATCH_DURATION > 0 || CONFIG.MATCH_SCORE_LIMIT > 0);
+}
+
+// Play is frozen while the results of the last match are up
+function isIntermission(engine) {
+    return engine.match.phase === MATCH_PHASES.INTERMISSION;
+}
+
+function hasPlayers(engine) {
+    return [...engine.tanks.values()].some(t => !t.isBot);
+}
+
+// Start over with the next tick, e.g. after a mode change
+function resetMatch(engine) {
+    engine.match = createFreePlayMatch(engine.match.number);
+}
+
+function getPlayer(engine, tankId) {
+    const players = engine.match.players;
+    if (!players[tankId]) {
+        players[tankId] = { joinedAt: engine.clock.now(), obstacles: 0, powerups: 0 };
+    }
+    return players[tankId];
+}
+
+// Obstacles and powerups aren't on the scoreboard, matches count them here
+function countMatchEvent(engine, event) {
+    if (engine.match.phase !== MATCH_PHASES.ACTIVE || !engine.tanks.has(event.tankId)) return;
+    if (event.type === 'obstacleDestroyed') getPlayer(engine, event.tankId).obstacles++;
+    if (event.type === 'powerupCollect') getPlayer(engine, event.tankId).powerups++;
+}
+
+function startMatch(engine) {
+    const match = createFreePlayMatch(engine.match.number + 1);
+    const now = engine.clock.now();
+    match.phase = MATCH_PHASES.ACTIVE;
+    match.startedAt = now;
+    match.endsAt = CONFIG.MATCH_DURATION > 0 ? now + CONFIG.MATCH_DURATION : 0;
+    engine.match = match;
+
+    engine.bullets = [];
+    resetFlags(engine);
+    engine.tanks.forEach(tank => {
+        tank.score = 0;
+        tank.kills = 0;
+        tank.deaths = 0;
+        tank.streak = 0;
+        tank.spawn();
+        getPlayer(engine, tank.id);
+        engine.emit('stats', tank, { matchesPlayed: 1 });
+    });
+    engine.updateScoreboard();
+    // Also the hook that starts the recording
+    engine.emitEvent({ type: 'matchStart', number: match.number, endsAt: match.endsAt, scoreLimit: CONFIG.MATCH_SCORE_LIMIT });
+}
+
+function pickAward(award, lines, minPlayTime) {
+    const candidates = lines.filter(line => !award.fewest || line.playTime >= minPlayTime);
+    // lines are sorted by score, so the first best value is the tie-break winner
+    const best = candidates.reduce((top, line) => {
+        if (!top) return line;
+        const better = award.fewest ? line[award.stat] < top[award.stat] : line[award.stat] > top[award.stat];
+        return better ? line : top;
+    }, null);
+    if (!best || (!award.fewest && best[award.stat] <= 0)) return null;
+    return { id: award.id, title: award.title, tankId: best.id, name: best.name, value: best[award.stat] };
+}
+
+// Final standings and awards
+function getSummary(engine, reason) {
+    const match = engine.match;
+    const now = engine.clock.now();
+    const lines = engine.scoreboard.map(entry => {
+        const player = getPlayer(engine, entry.id);
+        return {
+            id: entry.id,
+            name: entry.name,
+            team: entry.team,
+            isBot: entry.isBot,
+            score: entry.score,
+            kills: entry.kills,
+            deaths: entry.deaths,
+            obstacles: player.obstacles,
+            powerups: player.powerups,
+            playTime: now - Math.max(player.joinedAt, match.startedAt)
+        };
+    });
+    const teams = isTeamMode(engine) ? engine.teamScores : [];
+    const winner = teams.length > 0
+        ? teams[0] && { team: teams[0].team, name: teams[0].name, score: teams[0].score }
+        : lines[0] && { tankId: lines[0].id, name: lines[0].name, score: lines[0].score };
+
+    return {
+        number: match.number,
+        mode: engine.mode,
+        reason,
+        duration: now - match.startedAt,
+        winner: winner || null,
+        scoreboard: lines.map(({ playTime, ...line }) => line),
+        teams,
+        awards: AWARDS.map(award => pickAward(award, lines, (now - match.startedAt) / 2)).filter(Boolean)
+    };
+}
+
+// reason is 'time' or 'scoreLimit'
+function endMatch(engine, reason) {
+    const match = engine.match;
+    const now = engine.clock.now();
+    match.phase = MATCH_PHASES.INTERMISSION;
+    match.endedAt = now;
+    match.nextMatchAt = now + CONFIG.MATCH_INTERMISSION;
+    match.summary = { ...getSummary(engine, reason), nextMatchAt: match.nextMatchAt };
+    engine.bullets = [];
+
+    // A team win counts for everyone on the team
+    const winner = match.summary.winner;
+    if (winner && winner.score > 0) {
+        engine.tanks.forEach(tank => {
+            if (winner.team ? tank.team === winner.team : tank.id === winner.tankId) {
+                engine.emit('stats', tank, { wins: 1 });
+            }
+        });
+    }
+
+    // Also the hook that stops the recording, which gets the summary first
+    engine.emitEvent({ type: 'matchEnd', ...match.summary });
+}
+
+function getLeaderScore(engine) {
+    const leader = isTeamMode(engine) ? engine.teamScores[0] : engine.scoreboard[0];
+    return leader ? leader.score : 0;
+}
+
+function updateMatch(engine) {
+    const match = engine.match;
+    if (!usesTimedMatches(engine)) {
+        if (match.phase !== MATCH_PHASES.WAITING) resetMatch(engine);
+        return;
+    }
+
+    const now = engine.clock.now();
+    switch (match.phase) {
+        case MATCH_PHASES.WAITING:
+            if (hasPlayers(engine)) startMatch(engine);
+            break;
+
+        case MATCH_PHASES.ACTIVE:
+            if (!hasPlayers(engine)) {
+                // Nobody left to play it, the next player starts a new one
+                resetMatch(engine);
+                engine.emit('matchEnd');
+            } else if (CONFIG.MATCH_SCORE_LIMIT > 0 && getLeaderScore(engine) >= CONFIG.MATCH_SCORE_LIMIT) {
+                endMatch(engine, 'scoreLimit');
+            } else if (match.endsAt && now >= match.endsAt) {
+                endMatch(engine, 'time');
+            }
+            break;
+
+        case MATCH_PHASES.INTERMISSION:
+            if (now >= match.nextMatchAt) {
+                if (hasPlayers(engine)) startMatch(engine);
+                else resetMatch(engine);
+            }
+            break;
+    }
+}
+
+// A new MATCH_DURATION applies to the match being played
+function applyMatchConfig(engine) {
+    const match = engine.match;
+    if (match.phase === MATCH_PHASES.ACTIVE) {
+        match.endsAt = CONFIG.MATCH_DURATION > 0 ? match.startedAt + CONFIG.MATCH_DURATION : 0;
+    }
+}
+
+// Match clock sent with every gameState broadcast, null outside timed matches
+function getMatchState(engine) {
+    if (!usesTimedMatches(engine)) return null;
+    const match = engine.match;
+    return {
+        phase: match.phase,
+        number: match.number,
+        startedAt: match.startedAt,
+        endsAt: match.endsAt,
+        nextMatchAt: match.nextMatchAt,
+        scoreLimit: CONFIG.MATCH_SCORE_LIMIT
+    };
+}
+
+module.exports = {
+    createFreePlayMatch,
+    usesTimedMatches,
+    isIntermission,
+    resetMatch,
+    countMatchEvent,
+    updateMatch,
+    applyMatchConfig,
+    getMatchState
+};
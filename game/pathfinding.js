@@ -0,0 +1,199 @@
+const { CONFIG, OBSTACLE_TYPES } = require('./config');
+
+// Bots plan routes on a coarse grid over the map, cells this many px a side
+const PATH_CELL_SIZE = 40;
+
+// Give up on searches that expand more cells than this (e.g. unreachable goals)
+const MAX_EXPANSIONS = 4000;
+
+// Barrels explode when bumped, so routes keep an extra distance from them
+const BARREL_CLEARANCE = 30;
+
+// Min-heap of cells keyed by f score. A cell is pushed again when a cheaper
+// route to it turns up, the stale entry is skipped when popped.
+class CellHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(cell, score) {
+        const items = this.items;
+        const item = { cell, score };
+        let i = items.length;
+        items.push(item);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].score <= score) break;
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = item;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let i = 0;
+            for (;;) {
+                let child = i * 2 + 1;
+                if (child >= items.length) break;
+                if (child + 1 < items.length && items[child + 1].score < items[child].score) child++;
+                if (items[child].score >= last.score) break;
+                items[i] = items[child];
+                i = child;
+            }
+            items[i] = last;
+        }
+        return top.cell;
+    }
+}
+
+// Cells a tank centred in them would overlap an obstacle or the map edge.
+// Obstacles come and go, so this is rebuilt for every search.
+function buildBlockedCells(engine, cols, rows) {
+    const blocked = new Uint8Array(cols * rows);
+    const edge = CONFIG.TANK_SIZE / 2;
+
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+            const x = (cx + 0.5) * PATH_CELL_SIZE;
+            const y = (cy + 0.5) * PATH_CELL_SIZE;
+            if (x < edge || y < edge || x > engine.width - edge || y > engine.height - edge) {
+                blocked[cy * cols + cx] = 1;
+            }
+        }
+    }
+
+    engine.obstacles.forEach(obs => {
+        let clearance = (CONFIG.TANK_SIZE + obs.size) / 2;
+        if (obs.type === 'BARREL' && obs.destructible) clearance += BARREL_CLEARANCE;
+
+        const minX = Math.max(0, Math.floor((obs.x - clearance) / PATH_CELL_SIZE));
+        const maxX = Math.min(cols - 1, Math.floor((obs.x + clearance) / PATH_CELL_SIZE));
+        const minY = Math.max(0, Math.floor((obs.y - clearance) / PATH_CELL_SIZE));
+        const maxY = Math.min(rows - 1, Math.floor((obs.y + clearance) / PATH_CELL_SIZE));
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const dx = (cx + 0.5) * PATH_CELL_SIZE - obs.x;
+                const dy = (cy + 0.5) * PATH_CELL_SIZE - obs.y;
+                if (dx * dx + dy * dy < clearance * clearance) {
+                    blocked[cy * cols + cx] = 1;
+                }
+            }
+        }
+    });
+
+    return blocked;
+}
+
+// A* over the grid from one point to another. Returns the waypoints to drive
+// through (cell centres, ending at the goal itself), or null if the goal
+// can't be reached. Blocked start and goal cells are allowed, so tanks pressed
+// against an obstacle or chasing a tank next to one still get a route.
+function findPath(engine, from, to) {
+    const cols = Math.ceil(engine.width / PATH_CELL_SIZE);
+    const rows = Math.ceil(engine.height / PATH_CELL_SIZE);
+    const cellOf = pos => {
+        const cx = Math.max(0, Math.min(cols - 1, Math.floor(pos.x / PATH_CELL_SIZE)));
+        const cy = Math.max(0, Math.min(rows - 1, Math.floor(pos.y / PATH_CELL_SIZE)));
+        return cy * cols + cx;
+    };
+
+    const start = cellOf(from);
+    const goal = cellOf(to);
+    if (start === goal) return [{ x: to.x, y: to.y }];
+
+    const blocked = buildBlockedCells(engine, cols, rows);
+    blocked[start] = 0;
+    blocked[goal] = 0;
+
+    const goalX = goal % cols;
+    const goalY = Math.floor(goal / cols);
+    // Octile distance, exact for 8-way moves on an empty grid
+    const heuristic = cell => {
+        const dx = Math.abs(cell % cols - goalX);
+        const dy = Math.abs(Math.floor(cell / cols) - goalY);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const cost = new Float64Array(cols * rows).fill(Infinity);
+    const cameFrom = new Int32Array(cols * rows).fill(-1);
+    const closed = new Uint8Array(cols * rows);
+    const open = new CellHeap();
+
+    cost[start] = 0;
+    open.push(start, heuristic(start));
+
+    let expansions = 0;
+    while (open.size > 0 && expansions < MAX_EXPANSIONS) {
+        const cell = open.pop();
+        if (cell === goal) break;
+        if (closed[cell]) continue;
+        closed[cell] = 1;
+        expansions++;
+
+        const cx = cell % cols;
+        const cy = Math.floor(cell / cols);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+                const next = ny * cols + nx;
+                if (blocked[next] || closed[next]) continue;
+                // No cutting corners past an obstacle
+                if (dx !== 0 && dy !== 0 && (blocked[cy * cols + nx] || blocked[ny * cols + cx])) continue;
+
+                const nextCost = cost[cell] + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                if (nextCost < cost[next]) {
+                    cost[next] = nextCost;
+                    cameFrom[next] = cell;
+                    open.push(next, nextCost + heuristic(next));
+                }
+            }
+        }
+    }
+
+    if (cameFrom[goal] === -1) return null;
+
+    const path = [{ x: to.x, y: to.y }];
+    for (let cell = cameFrom[goal]; cell !== start; cell = cameFrom[cell]) {
+        path.push({
+            x: (cell % cols + 0.5) * PATH_CELL_SIZE,
+            y: (Math.floor(cell / cols) + 0.5) * PATH_CELL_SIZE
+        });
+    }
+    return path.reverse();
+}
+
+// Whether a bullet fired from a would reach b without hitting an obstacle
+function hasLineOfSight(engine, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return true;
+
+    const maxSize = Math.max(...Object.values(OBSTACLE_TYPES).map(type => type.size));
+    const candidates = engine.obstacleGrid.query((a.x + b.x) / 2, (a.y + b.y) / 2, length / 2 + maxSize);
+    return !candidates.some(obs => {
+        // Closest point on the segment to the obstacle
+        const t = Math.max(0, Math.min(1, ((obs.x - a.x) * dx + (obs.y - a.y) * dy) / (length * length)));
+        const px = a.x + dx * t - obs.x;
+        const py = a.y + dy * t - obs.y;
+        const reach = (obs.size + CONFIG.BULLET_SIZE) / 2;
+        return px * px + py * py < reach * reach;
+    });
+}
+
+module.exports = {
+    PATH_CELL_SIZE,
+    findPath,
+    hasLineOfSight
+};
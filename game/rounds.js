@@ -0,0 +1,243 @@
+const { CONFIG, ROUND_PHASES, ZONE_STAGES } = require('./config');
+const { distance } = require('./utils');
+
+// Fresh lobby state for the battle royale round
+function createRound() {
+    return {
+        phase: ROUND_PHASES.LOBBY,
+        countdownEnd: 0,
+        startedAt: 0,
+        endedAt: 0,
+        winnerId: null,
+        winnerName: null,
+        zone: null
+    };
+}
+
+function isRoundActive(engine) {
+    return !!engine.round && engine.round.phase === ROUND_PHASES.ACTIVE;
+}
+
+function getSurvivors(engine) {
+    return [...engine.tanks.values()].filter(t => !t.eliminated);
+}
+
+// Safe zone starts as a circle around the whole map
+function createZone(engine) {
+    const x = engine.width / 2;
+    const y = engine.height / 2;
+    const radius = Math.sqrt(x * x + y * y);
+    return {
+        x, y, radius,
+        startRadius: radius,
+        fromX: x, fromY: y, fromRadius: radius,
+        targetX: x, targetY: y, targetRadius: radius,
+        stage: 0,
+        damage: 0,
+        shrinkStart: 0,
+        shrinkEnd: 0,
+        nextShrinkAt: engine.clock.now() + ZONE_STAGES[0].delay
+    };
+}
+
+function updateZone(engine, now) {
+    const zone = engine.round.zone;
+
+    if (zone.shrinkEnd) {
+        // Interpolate towards the target circle
+        const progress = Math.min(1, (now - zone.shrinkStart) / (zone.shrinkEnd - zone.shrinkStart));
+        zone.x = zone.fromX + (zone.targetX - zone.fromX) * progress;
+        zone.y = zone.fromY + (zone.targetY - zone.fromY) * progress;
+        zone.radius = zone.fromRadius + (zone.targetRadius - zone.fromRadius) * progress;
+
+        if (progress >= 1) {
+            zone.shrinkEnd = 0;
+            zone.stage++;
+            zone.nextShrinkAt = zone.stage < ZONE_STAGES.length ? now + ZONE_STAGES[zone.stage].delay : 0;
+        }
+    } else if (zone.nextShrinkAt && now >= zone.nextShrinkAt) {
+        // Pick the next circle somewhere inside the current one
+        const stage = ZONE_STAGES[zone.stage];
+        const targetRadius = zone.startRadius * stage.radius;
+        const angle = engine.rng.next() * Math.PI * 2;
+        const offset = engine.rng.next() * (zone.radius - targetRadius);
+
+        zone.fromX = zone.x;
+        zone.fromY = zone.y;
+        zone.fromRadius = zone.radius;
+        zone.targetX = Math.max(0, Math.min(engine.width, zone.x + Math.cos(angle) * offset));
+        zone.targetY = Math.max(0, Math.min(engine.height, zone.y + Math.sin(angle) * offset));
+        zone.targetRadius = targetRadius;
+        zone.damage = stage.damage;
+        zone.shrinkStart = now;
+        zone.shrinkEnd = now + stage.shrinkTime;
+        zone.nextShrinkAt = 0;
+
+        engine.emitEvent({ type: 'zoneShrinking', stage: zone.stage + 1, endsAt: zone.shrinkEnd });
+    }
+}
+
+// Tanks outside the safe zone take damage every tick
+function applyZoneDamage(engine) {
+    const zone = engine.round.zone;
+    if (!zone.damage) return;
+
+    engine.tanks.forEach(tank => {
+        if (tank.eliminated || distance(tank, zone) <= zone.radius) return;
+
+        tank.hp -= zone.damage / engine.clock.tickRate;
+        if (tank.hp <= 0) {
+            tank.respawn();
+            engine.emitEvent({ type: 'tankDeath', tankId: tank.id, killerId: null, cause: 'zone' });
+            if (tank.eliminated) {
+                announceElimination(engine, tank, null);
+            }
+        }
+    });
+}
+
+function announceElimination(engine, tank, killerId) {
+    engine.emitEvent({
+        type: 'tankEliminated',
+        tankId: tank.id,
+        killerId,
+        survivors: getSurvivors(engine).length
+    });
+    engine.updateScoreboard();
+}
+
+function startRound(engine) {
+    const round = engine.round;
+    round.phase = ROUND_PHASES.ACTIVE;
+    round.startedAt = engine.clock.now();
+    round.countdownEnd = 0;
+    round.zone = createZone(engine);
+
+    engine.bullets = [];
+    engine.tanks.forEach(tank => {
+        tank.lives = CONFIG.ROUND_LIVES;
+        tank.spawn();
+        engine.emit('stats', tank, { matchesPlayed: 1 });
+    });
+    engine.emit('matchStart');
+
+    engine.emitEvent({ type: 'roundStart', lives: CONFIG.ROUND_LIVES, survivors: engine.tanks.size });
+    engine.updateScoreboard();
+}
+
+function endRound(engine, winner) {
+    const round = engine.round;
+    round.phase = ROUND_PHASES.ENDED;
+    round.endedAt = engine.clock.now();
+    round.winnerId = winner ? winner.id : null;
+    round.winnerName = winner ? winner.name : null;
+
+    if (winner) {
+        winner.score += CONFIG.ROUND_WIN_POINTS;
+        winner.roundWins++;
+        engine.emit('stats', winner, { score: CONFIG.ROUND_WIN_POINTS, wins: 1 });
+    }
+
+    engine.emitEvent({ type: 'roundEnd', winnerId: round.winnerId, winnerName: round.winnerName });
+    engine.updateScoreboard();
+}
+
+// Back to the lobby - eliminated tanks rejoin free play
+function resetRound(engine) {
+    // The winner screen is part of the match, the lobby isn't
+    if (engine.round.phase !== ROUND_PHASES.LOBBY) {
+        engine.emit('matchEnd');
+    }
+    engine.round = createRound();
+    engine.tanks.forEach(tank => {
+        tank.lives = CONFIG.ROUND_LIVES;
+        if (tank.eliminated) {
+            tank.spawn();
+        }
+    });
+    engine.updateScoreboard();
+}
+
+function updateRound(engine) {
+    const round = engine.round;
+    const now = engine.clock.now();
+
+    if (engine.mode !== 'battleRoyale') {
+        if (round.phase !== ROUND_PHASES.LOBBY) resetRound(engine);
+        return;
+    }
+
+    switch (round.phase) {
+        case ROUND_PHASES.LOBBY:
+            if (engine.tanks.size >= CONFIG.ROUND_MIN_PLAYERS) {
+                round.phase = ROUND_PHASES.COUNTDOWN;
+                round.countdownEnd = now + CONFIG.ROUND_COUNTDOWN;
+                engine.emitEvent({ type: 'roundCountdown', startsAt: round.countdownEnd });
+            }
+            break;
+
+        case ROUND_PHASES.COUNTDOWN:
+            if (engine.tanks.size < CONFIG.ROUND_MIN_PLAYERS) {
+                round.phase = ROUND_PHASES.LOBBY;
+                round.countdownEnd = 0;
+            } else if (now >= round.countdownEnd) {
+                startRound(engine);
+            }
+            break;
+
+        case ROUND_PHASES.ACTIVE: {
+            updateZone(engine, now);
+            applyZoneDamage(engine);
+
+            const survivors = getSurvivors(engine);
+            if (survivors.length <= 1) {
+                endRound(engine, survivors[0] || null);
+            }
+            break;
+        }
+
+        case ROUND_PHASES.ENDED:
+            if (now - round.endedAt >= CONFIG.ROUND_END_DELAY) {
+                resetRound(engine);
+            }
+            break;
+    }
+}
+
+// Round summary sent with every gameState broadcast
+function getRoundState(engine) {
+    const round = engine.round;
+    const zone = round.zone;
+    return {
+        mode: engine.mode,
+        phase: round.phase,
+        countdownEnd: round.countdownEnd,
+        startedAt: round.startedAt,
+        winnerId: round.winnerId,
+        winnerName: round.winnerName,
+        survivors: round.phase === ROUND_PHASES.LOBBY || round.phase === ROUND_PHASES.COUNTDOWN
+            ? []
+            : getSurvivors(engine).map(t => t.id),
+        zone: zone && round.phase === ROUND_PHASES.ACTIVE ? {
+            x: zone.x,
+            y: zone.y,
+            radius: zone.radius,
+            targetX: zone.targetX,
+            targetY: zone.targetY,
+            targetRadius: zone.targetRadius,
+            stage: zone.stage,
+            shrinking: zone.shrinkEnd > 0,
+            nextShrinkAt: zone.nextShrinkAt
+        } : null
+    };
+}
+
+module.exports = {
+    createRound,
+    isRoundActive,
+    announceElimination,
+    startRound,
+    resetRound,
+    updateRound,
+    getRoundState
+};
@@ -0,0 +1,67 @@
+const { CONFIG } = require('./config');
+
+// Uniform grid for broad-phase collision checks. Entities are bucketed into every
+// cell their bounding circle touches, queries return the entities in the cells
+// around a point and callers still do the exact distance check.
+class SpatialGrid {
+    constructor(cellSize = CONFIG.GRID_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();       // cell key -> Set of entities
+        this.entityCells = new Map(); // entity -> cell keys it is in
+    }
+
+    insert(entity, radius) {
+        const keys = [];
+        this.forEachCell(entity.x, entity.y, radius, key => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(entity);
+            keys.push(key);
+        });
+        this.entityCells.set(entity, keys);
+    }
+
+    remove(entity) {
+        const keys = this.entityCells.get(entity);
+        if (!keys) return;
+        keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(entity);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        this.entityCells.delete(entity);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entityCells.clear();
+    }
+
+    // Everything that might be within radius of (x, y)
+    query(x, y, radius) {
+        const found = new Set();
+        this.forEachCell(x, y, radius, key => {
+            const cell = this.cells.get(key);
+            if (cell) cell.forEach(entity => found.add(entity));
+        });
+        return [...found];
+    }
+
+    forEachCell(x, y, radius, callback) {
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                // Maps are far smaller than 65536 cells a side, so keys can't clash
+                callback(cx * 65536 + cy);
+            }
+        }
+    }
+}
+
+module.exports = SpatialGrid;
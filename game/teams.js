@@ -0,0 +1,76 @@
+const { CONFIG, TEAM_MODES, TEAMS } = require('./config');
+
+function isTeamMode(engine) {
+    return TEAM_MODES.includes(engine.mode);
+}
+
+function getActiveTeams() {
+    return Object.keys(TEAMS).slice(0, CONFIG.TEAM_COUNT);
+}
+
+// Honour a requested team, otherwise auto-balance onto the smallest team
+function pickTeam(engine, requested, tank) {
+    const teams = getActiveTeams();
+    const wanted = typeof requested === 'string' ? requested.toUpperCase() : null;
+    if (wanted && teams.includes(wanted)) return wanted;
+
+    const counts = {};
+    teams.forEach(team => { counts[team] = 0; });
+    engine.tanks.forEach(t => {
+        if (t !== tank && counts[t.team] !== undefined) counts[t.team]++;
+    });
+    return teams.reduce((best, team) => counts[team] < counts[best] ? team : best);
+}
+
+// Put a tank on a team when it enters the game
+function joinTeam(engine, tank, requested) {
+    tank.preferredTeam = requested || null;
+    tank.team = isTeamMode(engine) ? pickTeam(engine, requested, tank) : null;
+}
+
+// Re-split every tank after a mode change
+function assignTeams(engine) {
+    engine.tanks.forEach(tank => { tank.team = null; });
+    engine.tanks.forEach(tank => {
+        tank.team = isTeamMode(engine) ? pickTeam(engine, tank.preferredTeam, tank) : null;
+    });
+}
+
+function areTeammates(engine, a, b) {
+    return isTeamMode(engine) && !!a && !!b && a.team !== null && a.team === b.team;
+}
+
+// Whether damage from sourceId may hurt target under the friendly-fire rule
+function canDamage(engine, sourceId, target) {
+    if (!sourceId || sourceId === target.id || engine.friendlyFire) return true;
+    return !areTeammates(engine, engine.tanks.get(sourceId), target);
+}
+
+// Team totals, best team first
+function getTeamScores(engine) {
+    return getActiveTeams()
+        .map(team => {
+            const members = [...engine.tanks.values()].filter(t => t.team === team);
+            return {
+                team,
+                name: TEAMS[team].name,
+                color: TEAMS[team].color,
+                players: members.length,
+                score: members.reduce((sum, t) => sum + t.score, 0),
+                captures: engine.captures[team] || 0,
+                kills: members.reduce((sum, t) => sum + t.kills, 0),
+                deaths: members.reduce((sum, t) => sum + t.deaths, 0)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    isTeamMode,
+    getActiveTeams,
+    joinTeam,
+    assignTeams,
+    areTeammates,
+    canDamage,
+    getTeamScores
+};
@@ -0,0 +1,202 @@
+const { CONFIG, TOURNAMENT_PHASES } = require('./config');
+
+// Tournament matches - the bracket itself is kept by the server, the engine
+// only runs the match it is given. While a tournament runs, every tank that
+// isn't playing the current match is held out of play: it stays in the room,
+// eliminated and marked waiting, until its own match comes up.
+
+function createTournament({ id, name }) {
+    return { id, name, match: null };
+}
+
+// players are [{ deviceId, name }] in seed order, the first one wins ties
+function createMatch(engine, { id, label, players, duration }) {
+    const scores = {};
+    players.forEach(player => { scores[player.deviceId] = { kills: 0, deaths: 0 }; });
+    return {
+        id,
+        label,
+        players,
+        duration: duration || CONFIG.TOURNAMENT_MATCH_DURATION,
+        phase: TOURNAMENT_PHASES.WAITING,
+        scheduledAt: engine.clock.now(),
+        countdownEnd: 0,
+        startedAt: 0,
+        endsAt: 0,
+        endedAt: 0,
+        scores,
+        winner: null,
+        forfeit: false
+    };
+}
+
+// The tank a scheduled player is controlling, if it is in the room
+function findPlayerTank(engine, deviceId) {
+    return [...engine.tanks.values()].find(t => t.deviceId === deviceId && !t.isBot) || null;
+}
+
+function isPlaying(engine, tank) {
+    const match = engine.tournament.match;
+    return !!match && match.phase === TOURNAMENT_PHASES.ACTIVE && !tank.isBot &&
+        match.players.some(player => player.deviceId === tank.deviceId);
+}
+
+function holdTank(tank) {
+    tank.waiting = true;
+    tank.eliminate();
+}
+
+function releaseTank(tank) {
+    tank.waiting = false;
+    tank.lives = CONFIG.ROUND_LIVES;
+    tank.spawn();
+}
+
+// Everyone back in play, e.g. when the tournament is over
+function releaseAll(engine) {
+    engine.tanks.forEach(tank => {
+        if (tank.waiting) releaseTank(tank);
+    });
+}
+
+// Kills and deaths count towards the match while it runs
+function countTournamentDeath(engine, event) {
+    const match = engine.tournament && engine.tournament.match;
+    if (!match || match.phase !== TOURNAMENT_PHASES.ACTIVE) return;
+
+    const victim = engine.tanks.get(event.tankId);
+    const killer = engine.tanks.get(event.killerId);
+    if (victim && match.scores[victim.deviceId]) match.scores[victim.deviceId].deaths++;
+    if (killer && killer !== victim && match.scores[killer.deviceId]) match.scores[killer.deviceId].kills++;
+}
+
+function startMatch(engine, match) {
+    const now = engine.clock.now();
+    match.phase = TOURNAMENT_PHASES.ACTIVE;
+    match.startedAt = now;
+    match.endsAt = now + match.duration;
+    match.countdownEnd = 0;
+
+    engine.bullets = [];
+    match.players.forEach(player => {
+        const tank = findPlayerTank(engine, player.deviceId);
+        if (tank) engine.emit('stats', tank, { matchesPlayed: 1 });
+    });
+    engine.emit('matchStart');
+    engine.emitEvent({ type: 'tournamentMatchStart', matchId: match.id, label: match.label, players: match.players.map(p => p.name), endsAt: match.endsAt });
+}
+
+// Most kills wins, then fewest deaths, then the higher seed
+function pickWinner(match) {
+    const ranked = [...match.players].sort((a, b) => {
+        const sa = match.scores[a.deviceId];
+        const sb = match.scores[b.deviceId];
+        return (sb.kills - sa.kills) || (sa.deaths - sb.deaths);
+    });
+    return ranked[0];
+}
+
+function endMatch(engine, match, winner, forfeit = false) {
+    const wasActive = match.phase === TOURNAMENT_PHASES.ACTIVE;
+    match.phase = TOURNAMENT_PHASES.ENDED;
+    match.endedAt = engine.clock.now();
+    match.winner = winner.deviceId;
+    match.forfeit = forfeit;
+
+    const winnerTank = findPlayerTank(engine, winner.deviceId);
+    if (winnerTank && !forfeit) engine.emit('stats', winnerTank, { wins: 1 });
+    if (wasActive) engine.emit('matchEnd');
+
+    engine.emitEvent({
+        type: 'tournamentMatchEnd',
+        matchId: match.id,
+        label: match.label,
+        winnerName: winner.name,
+        players: match.players.map(player => ({ name: player.name, ...match.scores[player.deviceId] })),
+        forfeit
+    });
+}
+
+function updateTournament(engine) {
+    if (!engine.tournament) return;
+
+    // Only the players of a running match are in play
+    engine.tanks.forEach(tank => {
+        if (isPlaying(engine, tank)) {
+            if (tank.waiting) releaseTank(tank);
+        } else if (!tank.waiting || !tank.eliminated) {
+            holdTank(tank);
+        }
+    });
+
+    const match = engine.tournament.match;
+    if (!match) return;
+    const now = engine.clock.now();
+    const present = match.players.filter(player => findPlayerTank(engine, player.deviceId));
+
+    switch (match.phase) {
+        case TOURNAMENT_PHASES.WAITING:
+            if (present.length === match.players.length) {
+                match.phase = TOURNAMENT_PHASES.COUNTDOWN;
+                match.countdownEnd = now + CONFIG.TOURNAMENT_COUNTDOWN;
+                engine.emitEvent({ type: 'tournamentCountdown', matchId: match.id, label: match.label, startsAt: match.countdownEnd });
+            } else if (now - match.scheduledAt >= CONFIG.TOURNAMENT_NO_SHOW_TIME) {
+                // Whoever turned up goes through, with nobody there the higher seed does
+                endMatch(engine, match, present[0] || match.players[0], true);
+            }
+            break;
+
+        case TOURNAMENT_PHASES.COUNTDOWN:
+            if (present.length < match.players.length) {
+                // The no-show clock keeps running from when the match was scheduled
+                match.phase = TOURNAMENT_PHASES.WAITING;
+                match.countdownEnd = 0;
+            } else if (now >= match.countdownEnd) {
+                startMatch(engine, match);
+            }
+            break;
+
+        case TOURNAMENT_PHASES.ACTIVE:
+            if (now >= match.endsAt) {
+                endMatch(engine, match, pickWinner(match));
+            }
+            break;
+    }
+}
+
+// Tournament summary sent with every gameState broadcast
+function getTournamentState(engine) {
+    const tournament = engine.tournament;
+    if (!tournament) return null;
+    const match = tournament.match;
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        match: match ? {
+            id: match.id,
+            label: match.label,
+            players: match.players.map(player => ({
+                name: player.name,
+                present: !!findPlayerTank(engine, player.deviceId),
+                ...match.scores[player.deviceId]
+            })),
+            phase: match.phase,
+            scheduledAt: match.scheduledAt,
+            countdownEnd: match.countdownEnd,
+            endsAt: match.endsAt,
+            noShowAt: match.scheduledAt + CONFIG.TOURNAMENT_NO_SHOW_TIME,
+            winner: match.winner ? match.players.findIndex(player => player.deviceId === match.winner) : null,
+            forfeit: match.forfeit
+        } : null
+    };
+}
+
+module.exports = {
+    createTournament,
+    createMatch,
+    releaseAll,
+    countTournamentDeath,
+    endMatch,
+    updateTournament,
+    getTournamentState
+};
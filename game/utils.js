@@ -0,0 +1,156 @@
+const { CONFIG } = require('./config');
+
+// Seedable random numbers (mulberry32). Everything random in the simulation
+// draws from its room's generator, so a seed reproduces the whole match.
+class SeededRandom {
+    constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+}
+
+// Fixed-step game clock. Simulation time only moves in whole ticks, so anything
+// timed off it lands on the same tick when a match is replayed. It starts at
+// wall time, which keeps timestamps sent to clients comparable with Date.now().
+class GameClock {
+    constructor(tickRate = CONFIG.TICK_RATE, startTime = Date.now()) {
+        this.tickRate = tickRate;
+        this.tickMs = 1000 / tickRate;
+        this.startTime = startTime;
+        this.tick = 0;
+    }
+
+    now() {
+        return Math.floor(this.startTime + this.tick * this.tickMs);
+    }
+
+    advance() {
+        this.tick++;
+    }
+
+    // Ticks that wall time says should have run by now
+    dueTicks(wallTime = Date.now()) {
+        return Math.floor((wallTime - this.startTime) / this.tickMs) - this.tick;
+    }
+
+    // Change the tick length from the current tick on, without moving now()
+    setTickRate(tickRate) {
+        this.startTime += this.tick * (this.tickMs - 1000 / tickRate);
+        this.tickRate = tickRate;
+        this.tickMs = 1000 / tickRate;
+    }
+
+    // Drop a backlog of ticks without running them (after the process stalled)
+    skip(ticks) {
+        this.startTime += ticks * this.tickMs;
+    }
+}
+
+// Helper functions
+function randomPosition(engine) {
+    return {
+        x: engine.rng.next() * (engine.width - 100) + 50,
+        y: engine.rng.next() * (engine.height - 100) + 50
+    };
+}
+
+// Parse hex color to RGB
+function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+    } : null;
+}
+
+// Calculate color brightness (0-255)
+function getColorBrightness(hex) {
+    const rgb = hexToRgb(hex);
+    if (!rgb) return 0;
+    // Using perceived brightness formula
+    return (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000;
+}
+
+// Generate random bright color, from the room's generator like everything
+// else that ends up in the game state
+function randomBrightColor(rng) {
+    const brightColors = [
+        '#FF5722', '#E91E63', '#9C27B0', '#673AB7',
+        '#3F51B5', '#2196F3', '#00BCD4', '#009688',
+        '#4CAF50', '#8BC34A', '#CDDC39', '#FFEB3B',
+        '#FFC107', '#FF9800', '#FF5722', '#F44336'
+    ];
+    return rng.pick(brightColors);
+}
+
+// Validate tank color - reject dark colors that camouflage with background
+function validateTankColor(color, rng) {
+    if (!color || typeof color !== 'string') return randomBrightColor(rng);
+
+    const brightness = getColorBrightness(color);
+    // Background is ~26 brightness (#1a1a1a), reject colors below 60 brightness
+    if (brightness < 60) {
+        return randomBrightColor(rng);
+    }
+    return color;
+}
+
+// Sanitize tank name - trim and limit to 20 characters
+function sanitizeTankName(name) {
+    if (!name || typeof name !== 'string') return 'Unknown';
+    return name.trim().substring(0, 20) || 'Unknown';
+}
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+// Shortest signed turn from one angle to another, in [-PI, PI]
+function angleDifference(from, to) {
+    const diff = (to - from) % (Math.PI * 2);
+    if (diff > Math.PI) return diff - Math.PI * 2;
+    if (diff < -Math.PI) return diff + Math.PI * 2;
+    return diff;
+}
+
+// The same direction within -PI..PI, angles already in range are unchanged
+function normalizeAngle(angle) {
+    const wrapped = angle % (Math.PI * 2);
+    if (wrapped > Math.PI) return wrapped - Math.PI * 2;
+    if (wrapped < -Math.PI) return wrapped + Math.PI * 2;
+    return wrapped;
+}
+
+function checkCollision(obj1, obj2, size1, size2) {
+    return distance(obj1, obj2) < (size1 + size2) / 2;
+}
+
+module.exports = {
+    SeededRandom,
+    GameClock,
+    randomPosition,
+    validateTankColor,
+    sanitizeTankName,
+    distance,
+    angleDifference,
+    normalizeAngle,
+    checkCollision
+};
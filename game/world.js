@@ -0,0 +1,116 @@
+const { CONFIG } = require('./config');
+const { randomPosition, distance } = require('./utils');
+const { isRoundActive } = require('./rounds');
+
+// Random position inside the safe zone, falling back to the whole map
+function randomSpawnPosition(engine) {
+    const zone = isRoundActive(engine) ? engine.round.zone : null;
+    if (!zone || zone.radius < CONFIG.TANK_SIZE) return randomPosition(engine);
+
+    const angle = engine.rng.next() * Math.PI * 2;
+    const dist = Math.sqrt(engine.rng.next()) * (zone.radius - CONFIG.TANK_SIZE / 2);
+    return {
+        x: Math.max(50, Math.min(engine.width - 50, zone.x + Math.cos(angle) * dist)),
+        y: Math.max(50, Math.min(engine.height - 50, zone.y + Math.sin(angle) * dist))
+    };
+}
+
+function isSafeSpawn(engine, pos) {
+    return !engine.tankGrid.query(pos.x, pos.y, CONFIG.TANK_SIZE * 3).some(t =>
+        !t.eliminated && distance(pos, t) < CONFIG.TANK_SIZE * 3
+    ) && !engine.obstacleGrid.query(pos.x, pos.y, CONFIG.TANK_SIZE * 2).some(o =>
+        distance(pos, o) < CONFIG.TANK_SIZE * 2
+    );
+}
+
+// One of the map's spawn points, preferring points nobody is standing near.
+// Team tanks use their team's points, or the untagged ones if it has none.
+// Returns null when the map has no point that can be used.
+function mapSpawnPosition(engine, tank) {
+    const points = engine.map ? engine.map.spawnPoints : [];
+    const team = tank && tank.team;
+    let candidates = team ? points.filter(p => p.team === team) : points;
+    if (candidates.length === 0) candidates = points.filter(p => !p.team);
+
+    // During a battle royale round only points inside the safe zone will do
+    const zone = isRoundActive(engine) ? engine.round.zone : null;
+    if (zone) {
+        candidates = candidates.filter(p => distance(p, zone) < zone.radius - CONFIG.TANK_SIZE);
+    }
+    if (candidates.length === 0) return null;
+
+    const safe = candidates.filter(p => isSafeSpawn(engine, p));
+    const point = engine.rng.pick(safe.length > 0 ? safe : candidates);
+    return { x: point.x, y: point.y };
+}
+
+function findSafeSpawnPosition(engine, tank = null) {
+    const mapPos = mapSpawnPosition(engine, tank);
+    if (mapPos) return mapPos;
+
+    let attempts = 0;
+    let pos;
+    do {
+        pos = randomSpawnPosition(engine);
+        attempts++;
+        if (isSafeSpawn(engine, pos)) return pos;
+    } while (attempts < 50);
+    return pos;
+}
+
+// Tanks move every tick, so their grid is rebuilt rather than updated
+function rebuildTankGrid(engine) {
+    engine.tankGrid.clear();
+    engine.tanks.forEach(tank => {
+        if (!tank.eliminated) engine.tankGrid.insert(tank, CONFIG.TANK_SIZE / 2);
+    });
+}
+
+// Obstacles and powerups only change when spawned or removed, which goes
+// through these so their grids stay in sync with the lists
+function addObstacle(engine, obstacle) {
+    engine.obstacles.push(obstacle);
+    engine.obstacleGrid.insert(obstacle, obstacle.size / 2);
+}
+
+function removeObstacle(engine, obstacle) {
+    const index = engine.obstacles.indexOf(obstacle);
+    if (index === -1) return false;
+    engine.obstacles.splice(index, 1);
+    engine.obstacleGrid.remove(obstacle);
+
+    // Map obstacles with a respawn time come back in the same place
+    if (obstacle.respawnTime > 0) {
+        engine.obstacleRespawns.push({
+            type: obstacle.type,
+            x: obstacle.x,
+            y: obstacle.y,
+            destructible: obstacle.destructible,
+            respawnTime: obstacle.respawnTime,
+            at: engine.clock.now() + obstacle.respawnTime
+        });
+    }
+    return true;
+}
+
+function addPowerup(engine, powerup) {
+    engine.powerups.push(powerup);
+    engine.powerupGrid.insert(powerup, powerup.size / 2);
+}
+
+function removePowerup(engine, powerup) {
+    const index = engine.powerups.indexOf(powerup);
+    if (index === -1) return false;
+    engine.powerups.splice(index, 1);
+    engine.powerupGrid.remove(powerup);
+    return true;
+}
+
+module.exports = {
+    findSafeSpawnPosition,
+    rebuildTankGrid,
+    addObstacle,
+    removeObstacle,
+    addPowerup,
+    removePowerup
+};
@@ -0,0 +1,216 @@
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../game/config');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const ADMINS_FILE = process.env.ADMIN_ACCOUNTS_FILE || path.join(DATA_DIR, 'admins.json');
+
+// What each role may do. Operators run the arena (rooms, bots, maps, settings),
+// moderators deal with players, simulator accounts can only drive a tank
+// from simulator.html.
+const ROLE_PERMISSIONS = {
+    operator: ['panel', 'operate', 'moderate', 'simulator'],
+    moderator: ['panel', 'moderate', 'simulator'],
+    simulator: ['simulator']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const SCRYPT_COST = 16384;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Admin accounts keyed by username, each { role, passwordHash }. ADMIN_ACCOUNTS
+// (the same JSON) takes the place of the file, e.g. for containers.
+const accounts = loadAccounts();
+
+// Logged in admins by session token, kept in memory so a restart logs everyone out
+const sessions = new Map();
+
+// Failed logins by IP and by username
+const loginFailures = new Map();
+
+function loadAccounts() {
+    let loaded = readJsonFile(ADMINS_FILE, {});
+    if (process.env.ADMIN_ACCOUNTS) {
+        try {
+            loaded = JSON.parse(process.env.ADMIN_ACCOUNTS);
+        } catch (e) {
+            console.error('Invalid ADMIN_ACCOUNTS:', e.message);
+        }
+    }
+
+    const valid = {};
+    for (const [username, account] of Object.entries(loaded)) {
+        if (!account || !ROLES.includes(account.role) || !parseHash(account.passwordHash)) {
+            console.error(`Ignoring admin account ${username}: needs a role (${ROLES.join(', ')}) and a passwordHash`);
+            continue;
+        }
+        valid[username] = account;
+    }
+    return valid;
+}
+
+// "scrypt$<cost>$<salt>$<key>", salt and key in hex
+function parseHash(stored) {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+    if (parts.length !== 4 || parts[0] !== 'scrypt') return null;
+    const cost = parseInt(parts[1], 10);
+    if (!cost) return null;
+    return { cost, salt: Buffer.from(parts[2], 'hex'), key: Buffer.from(parts[3], 'hex') };
+}
+
+function deriveKey(password, salt, cost, length) {
+    return new Promise((resolve, reject) => {
+        // maxmem has to grow with the cost, the default only fits 16384
+        crypto.scrypt(String(password), salt, length, { N: cost, maxmem: 256 * cost * 8 }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await deriveKey(password, salt, SCRYPT_COST, SCRYPT_KEY_LENGTH);
+    return `scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const hash = parseHash(stored);
+    if (!hash) return false;
+    const key = await deriveKey(password, hash.salt, hash.cost, hash.key.length);
+    return crypto.timingSafeEqual(key, hash.key);
+}
+
+// Unknown usernames are checked against this so they take as long as known ones
+let dummyHash = null;
+
+function hasAdminAccounts() {
+    return Object.keys(accounts).length > 0;
+}
+
+function getLockedUntil(key) {
+    const entry = loginFailures.get(key);
+    if (!entry || entry.lockedUntil <= Date.now()) return 0;
+    return entry.lockedUntil;
+}
+
+function recordLoginFailure(key) {
+    const now = Date.now();
+    let entry = loginFailures.get(key);
+    // Failures older than the lockout window are forgotten
+    if (!entry || now - entry.lastFailure > CONFIG.ADMIN_LOCKOUT_TIME) {
+        entry = { failures: 0, lastFailure: now, lockedUntil: 0 };
+        loginFailures.set(key, entry);
+    }
+    entry.failures++;
+    entry.lastFailure = now;
+    if (entry.failures >= CONFIG.ADMIN_MAX_LOGIN_ATTEMPTS) {
+        entry.failures = 0;
+        entry.lockedUntil = now + CONFIG.ADMIN_LOCKOUT_TIME;
+    }
+}
+
+function createSession(username, role) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { token, username, role, expiresAt: Date.now() + CONFIG.ADMIN_SESSION_TTL };
+    sessions.set(token, session);
+    return session;
+}
+
+// Check a username and password. Resolves to { session } or { error, lockedUntil }.
+// Too many failures from one IP or for one username lock both out for a while.
+async function login(username, password, ip) {
+    const ipKey = `ip:${ip}`;
+    const userKey = `user:${username}`;
+    const lockedUntil = Math.max(getLockedUntil(ipKey), getLockedUntil(userKey));
+    if (lockedUntil) {
+        return { error: 'Too many failed logins, try again later', lockedUntil };
+    }
+
+    const account = typeof username === 'string' && Object.hasOwn(accounts, username) ? accounts[username] : null;
+    if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = await verifyPassword(password, account ? account.passwordHash : dummyHash);
+    if (!account || !valid) {
+        recordLoginFailure(ipKey);
+        recordLoginFailure(userKey);
+        return { error: 'Invalid username or password' };
+    }
+
+    loginFailures.delete(ipKey);
+    loginFailures.delete(userKey);
+    return { session: createSession(username, account.role) };
+}
+
+// The live session for a token, or null. Sessions slide forward while in use.
+function getSession(token) {
+    if (typeof token !== 'string') return null;
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now() || !accounts[session.username]) {
+        sessions.delete(token);
+        return null;
+    }
+    session.expiresAt = Date.now() + CONFIG.ADMIN_SESSION_TTL;
+    return session;
+}
+
+function endSession(token) {
+    sessions.delete(token);
+}
+
+function hasPermission(session, permission) {
+    return !!session && ROLE_PERMISSIONS[session.role].includes(permission);
+}
+
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+// Drop expired sessions and lockouts
+function pruneAdminAuth() {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+        if (session.expiresAt <= now) sessions.delete(token);
+    });
+    loginFailures.forEach((entry, key) => {
+        if (entry.lockedUntil <= now && now - entry.lastFailure > CONFIG.ADMIN_LOCKOUT_TIME) {
+            loginFailures.delete(key);
+        }
+    });
+}
+
+// Add or replace an account in the accounts file, for scripts/add-admin.js
+async function saveAdminAccount(username, role, password) {
+    if (!/^[\w.-]{1,32}$/.test(username)) {
+        throw new Error('Usernames are 1-32 letters, digits, dots, dashes or underscores');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    const stored = readJsonFile(ADMINS_FILE, {});
+    stored[username] = { role, passwordHash: await hashPassword(password) };
+    writeJsonFile(ADMINS_FILE, stored);
+}
+
+function removeAdminAccount(username) {
+    const stored = readJsonFile(ADMINS_FILE, {});
+    if (!stored[username]) return false;
+    delete stored[username];
+    writeJsonFile(ADMINS_FILE, stored);
+    return true;
+}
+
+module.exports = {
+    ADMINS_FILE,
+    ROLES,
+    hashPassword,
+    hasAdminAccounts,
+    login,
+    getSession,
+    endSession,
+    hasPermission,
+    getPermissions,
+    pruneAdminAuth,
+    saveAdminAccount,
+    removeAdminAccount
+};
@@ -0,0 +1,223 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { CONFIG } = require('../game/config');
+const { angleDifference, normalizeAngle, distance } = require('../game/utils');
+const { areTeammates } = require('../game/teams');
+
+// Aim requests and shots looked at for the aim lock and fire timing checks
+const AIM_SAMPLES = 20;
+const FIRE_SAMPLES = 20;
+// Aim requests with an enemy in sight before aim locking is judged
+const MIN_AIM_SAMPLES = 10;
+// Snaps within ANTI_CHEAT_WINDOW before they are flagged
+const SNAP_LIMIT = 5;
+// A shot this soon (ms) after a refused fire command is a held button going
+// off as the gun reloads, its timing is the reload time and not the player's
+const HELD_FIRE_GAP = 200;
+
+// Anomalies flagged in any room, newest first
+const flags = [];
+const MAX_FLAGS = 200;
+let autoKick = CONFIG.ANTI_CHEAT_AUTO_KICK;
+
+// Watches the inputs applied in one room and keeps statistics per player:
+// input cadence, requested turns, how often aim requests point straight at an
+// enemy and how regular the shots are. Anomalies are emitted as 'flag' with
+// { id, time, roomId, tankId, name, deviceId, type, evidence, clear, stats },
+// where clear marks violations no legitimate controller produces and stats are
+// the player's statistics at the time.
+//
+// Everything is counted in game ticks, inputs are applied on tick boundaries.
+// Only inputs that change something count: a held key resent by the OS or a
+// shot while reloading says nothing about how a player plays.
+class InputMonitor extends EventEmitter {
+    // ignore(tank) picks tanks that are allowed to act like programs (external bots)
+    constructor(engine, roomId, ignore = () => false) {
+        super();
+        this.engine = engine;
+        this.roomId = roomId;
+        this.ignore = ignore;
+        this.players = new Map(); // Stats by tank id
+
+        engine.on('input', (tick, tankId, input) => this.observe(tick, engine.tanks.get(tankId), input));
+        engine.on('playerLeft', ({ playerId }) => this.players.delete(playerId));
+    }
+
+    getPlayer(tank) {
+        if (!this.players.has(tank.id)) {
+            this.players.set(tank.id, {
+                inputs: [],    // Ticks of the inputs in the last second
+                peakInputRate: 0,
+                rotates: 0,
+                maxTurn: 0,    // Largest turn one aim request asked for
+                snaps: [],     // Ticks of recent aim requests turning further than ANTI_CHEAT_SNAP_TURN
+                aimLocks: [],  // Whether recent aim requests pointed straight at an enemy
+                fires: [],     // Ticks of the recent shots
+                refusedFireAt: -Infinity, // Tick of the last fire command while reloading
+                flaggedAt: {}  // Last flag time by anomaly type, clear violations apart
+            });
+        }
+        return this.players.get(tank.id);
+    }
+
+    observe(tick, tank, input) {
+        if (!tank || tank.isBot) return;
+        const player = this.getPlayer(tank);
+        const ticksPerSecond = this.engine.clock.tickRate;
+
+        const heldFire = (tick - player.refusedFireAt) * this.engine.clock.tickMs <= HELD_FIRE_GAP;
+        if (!changesState(tank, input)) {
+            if (input.type === 'fire') player.refusedFireAt = tick;
+            return;
+        }
+
+        player.inputs.push(tick);
+        while (player.inputs[0] <= tick - ticksPerSecond) player.inputs.shift();
+        player.peakInputRate = Math.max(player.peakInputRate, player.inputs.length);
+        if (player.inputs.length > CONFIG.ANTI_CHEAT_MAX_INPUT_RATE) {
+            this.flag(tank, 'inputRate', `${player.inputs.length} inputs within one second`, player.inputs.length > CONFIG.ANTI_CHEAT_MAX_INPUT_RATE * 2);
+        }
+
+        if (input.type === 'rotate') {
+            this.observeAim(tick, tank, player, input.angle);
+        } else if (input.type === 'fire' && !heldFire) {
+            this.observeFire(tick, tank, player);
+        }
+    }
+
+    observeAim(tick, tank, player, angle) {
+        player.rotates++;
+        // The tank may still be turning towards an earlier request
+        const turn = Math.abs(angleDifference(tank.angle, angle));
+        player.maxTurn = Math.max(player.maxTurn, turn);
+
+        const windowTicks = CONFIG.ANTI_CHEAT_WINDOW / this.engine.clock.tickMs;
+        if (turn > CONFIG.ANTI_CHEAT_SNAP_TURN) player.snaps.push(tick);
+        while (player.snaps[0] <= tick - windowTicks) player.snaps.shift();
+        if (player.snaps.length >= SNAP_LIMIT) {
+            this.flag(tank, 'aimSnap', `${player.snaps.length} aim requests turning over ${CONFIG.ANTI_CHEAT_SNAP_TURN} rad at once within ${CONFIG.ANTI_CHEAT_WINDOW / 1000} s, the last ${turn.toFixed(2)} rad (tanks turn ${CONFIG.TANK_TURN_RATE} rad per tick)`, false);
+        }
+
+        // Only aim requests with an enemy in sight say anything about aim locking
+        const offset = this.getEnemyOffset(tank, angle);
+        if (offset === null) return;
+        player.aimLocks.push(offset <= CONFIG.ANTI_CHEAT_AIM_LOCK);
+        if (player.aimLocks.length > AIM_SAMPLES) player.aimLocks.shift();
+        const locked = player.aimLocks.filter(Boolean).length;
+        if (player.aimLocks.length >= MIN_AIM_SAMPLES && locked >= player.aimLocks.length / 2) {
+            const degrees = (CONFIG.ANTI_CHEAT_AIM_LOCK * 180 / Math.PI).toFixed(1);
+            this.flag(tank, 'aimLock', `${locked} of the last ${player.aimLocks.length} aim requests pointed within ${degrees}° of an enemy`,
+                player.aimLocks.length >= AIM_SAMPLES && locked >= AIM_SAMPLES * 0.8);
+        }
+    }
+
+    // How far an aim angle is off the nearest enemy's direction, null without
+    // an enemy within twice the fire range
+    getEnemyOffset(tank, angle) {
+        let best = null;
+        this.engine.tanks.forEach(other => {
+            if (other === tank || other.eliminated || areTeammates(this.engine, tank, other)) return;
+            if (distance(tank, other) > tank.fireRange * 2) return;
+            const offset = Math.abs(angleDifference(angle, Math.atan2(other.y - tank.y, other.x - tank.x)));
+            if (best === null || offset < best) best = offset;
+        });
+        return best;
+    }
+
+    observeFire(tick, tank, player) {
+        player.fires.push(tick);
+        if (player.fires.length > FIRE_SAMPLES) player.fires.shift();
+        const timing = getFireTiming(player.fires, this.engine.clock.tickMs);
+        // Buttons pressed by hand are tens of ms apart from one shot to the next
+        if (timing && player.fires.length >= FIRE_SAMPLES && timing.jitter <= this.engine.clock.tickMs / 2) {
+            this.flag(tank, 'fireMacro', `last ${player.fires.length} shots ${timing.interval} ms apart, ±${timing.jitter} ms`, false);
+        }
+    }
+
+    flag(tank, type, evidence, clear) {
+        const player = this.getPlayer(tank);
+        const now = Date.now();
+        // A clear violation is reported even right after a lesser flag of its type
+        const key = clear ? `${type}:clear` : type;
+        if (this.ignore(tank) || now - (player.flaggedAt[key] || 0) < CONFIG.ANTI_CHEAT_FLAG_COOLDOWN) return;
+        player.flaggedAt[key] = now;
+        const entry = {
+            id: `flag-${crypto.randomBytes(4).toString('hex')}`,
+            time: now,
+            roomId: this.roomId,
+            tankId: tank.id,
+            name: tank.name,
+            deviceId: tank.deviceId,
+            type,
+            evidence,
+            clear,
+            kicked: false,
+            stats: this.getStats(tank.id)
+        };
+        flags.unshift(entry);
+        flags.length = Math.min(flags.length, MAX_FLAGS);
+        this.emit('flag', entry);
+    }
+
+    // Summary for the admin panel, null for tanks that haven't sent any input
+    getStats(tankId) {
+        const player = this.players.get(tankId);
+        if (!player) return null;
+        const timing = getFireTiming(player.fires, this.engine.clock.tickMs);
+        return {
+            inputRate: player.inputs.length,
+            peakInputRate: player.peakInputRate,
+            rotates: player.rotates,
+            maxTurn: Math.round(player.maxTurn * 100) / 100,
+            aimLocks: player.aimLocks.filter(Boolean).length,
+            aimSamples: player.aimLocks.length,
+            fireInterval: timing ? timing.interval : null,
+            fireJitter: timing ? timing.jitter : null
+        };
+    }
+}
+
+// Whether an input does anything, it is seen before it is applied
+function changesState(tank, input) {
+    switch (input.type) {
+        case 'move':
+            return ['up', 'down', 'left', 'right'].some(dir => !!input.moving[dir] !== !!tank.moving[dir]);
+        case 'rotate': {
+            const angle = normalizeAngle(input.angle);
+            return tank.targetAngle === null ? angle !== tank.angle : angle !== tank.targetAngle;
+        }
+        case 'fire':
+            return !tank.eliminated && tank.engine.clock.now() - tank.lastFire >= tank.fireRate;
+        default:
+            return true;
+    }
+}
+
+// Mean time between shots and its standard deviation, in ms
+function getFireTiming(fires, tickMs) {
+    if (fires.length < 3) return null;
+    const intervals = fires.slice(1).map((tick, i) => (tick - fires[i]) * tickMs);
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+    return { interval: Math.round(mean), jitter: Math.round(Math.sqrt(variance)) };
+}
+
+function getCheatFlags() {
+    return flags;
+}
+
+function isAutoKickEnabled() {
+    return autoKick;
+}
+
+// Until the server restarts, the default is ANTI_CHEAT_AUTO_KICK
+function setAutoKick(enabled) {
+    autoKick = !!enabled;
+}
+
+module.exports = {
+    InputMonitor,
+    getCheatFlags,
+    isAutoKickEnabled,
+    setAutoKick
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./storage');
+
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.ndjson');
+
+// Admin actions, one JSON line each, only ever appended to. Entries are
+// { time, admin, role, ip, roomId, action, target?, ...details } where target
+// is the tank acted on: { id, name, deviceId }.
+function logAdminAction(entry) {
+    const line = JSON.stringify({ time: Date.now(), ...entry }) + '\n';
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+        // Written straight away, a crash must not lose who did what
+        fs.appendFileSync(AUDIT_LOG_FILE, line);
+    } catch (e) {
+        console.error('Failed to write audit log:', e);
+    }
+}
+
+function readAuditEntries() {
+    let text = '';
+    try {
+        text = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Failed to read audit log:', e);
+        return [];
+    }
+    return text.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            return null; // Half-written last line after a crash
+        }
+    }).filter(Boolean);
+}
+
+// Newest first. Filters are all optional: admin and action match exactly,
+// search matches the target's name or deviceId and the source IP.
+function getAuditLog({ admin, action, search, limit = 200 } = {}) {
+    const query = typeof search === 'string' ? search.trim().toLowerCase() : '';
+    const matches = entry => {
+        if (admin && entry.admin !== admin) return false;
+        if (action && entry.action !== action) return false;
+        if (!query) return true;
+        return [entry.target?.name, entry.target?.deviceId, entry.ip]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(query));
+    };
+    return readAuditEntries().filter(matches).reverse().slice(0, Math.max(1, Math.min(1000, limit)));
+}
+
+module.exports = {
+    logAdminAction,
+    getAuditLog
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const BANS_FILE = path.join(DATA_DIR, 'bans.json');
+
+// What a ban matches. Devices at a venue usually share one NAT address, so
+// device bans are the normal case and IP bans the fallback.
+const BAN_TYPES = ['device', 'ip'];
+
+// Bans keyed by id: { id, type, value, reason, createdAt, expiresAt, bannedBy,
+// targetName }. expiresAt is null for permanent bans.
+const bans = readJsonFile(BANS_FILE, {});
+
+// Bans change rarely, so every change is written straight away
+function saveBans() {
+    try {
+        writeJsonFile(BANS_FILE, bans);
+    } catch (e) {
+        console.error('Failed to save bans:', e);
+    }
+}
+
+function isActive(ban, now = Date.now()) {
+    return !ban.expiresAt || ban.expiresAt > now;
+}
+
+function pruneBans() {
+    const now = Date.now();
+    const expired = Object.values(bans).filter(ban => !isActive(ban, now));
+    expired.forEach(ban => delete bans[ban.id]);
+    if (expired.length > 0) saveBans();
+}
+
+// duration is in ms, 0 or missing for a permanent ban
+function addBan({ type, value, reason, duration, bannedBy, targetName }) {
+    if (!BAN_TYPES.includes(type) || !value) {
+        throw new Error('Bans need a device or an IP');
+    }
+    pruneBans();
+    const now = Date.now();
+    const ban = {
+        id: `ban-${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        value: String(value),
+        reason: typeof reason === 'string' ? reason.trim().substring(0, 200) : '',
+        createdAt: now,
+        expiresAt: duration > 0 ? now + duration : null,
+        bannedBy: bannedBy || null,
+        targetName: targetName || null
+    };
+    bans[ban.id] = ban;
+    saveBans();
+    return ban;
+}
+
+// Returns the lifted ban, or null
+function removeBan(id) {
+    const ban = Object.hasOwn(bans, id) ? bans[id] : null;
+    if (!ban) return null;
+    delete bans[id];
+    saveBans();
+    return ban;
+}
+
+// The active ban matching a device or an IP, or null
+function findBan({ deviceId, ip }) {
+    return Object.values(bans).find(ban => isActive(ban) && (
+        (ban.type === 'device' && deviceId && ban.value === deviceId) ||
+        (ban.type === 'ip' && ip && ban.value === ip)
+    )) || null;
+}
+
+// Active bans, newest first
+function listBans() {
+    pruneBans();
+    return Object.values(bans).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// What a banned client is told. remaining is in ms, null when permanent.
+function getBanNotice(ban) {
+    return {
+        type: 'banned',
+        reason: ban.reason,
+        expiresAt: ban.expiresAt,
+        remaining: ban.expiresAt ? Math.max(0, ban.expiresAt - Date.now()) : null
+    };
+}
+
+module.exports = {
+    BAN_TYPES,
+    addBan,
+    removeBan,
+    findBan,
+    listBans,
+    getBanNotice
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const BOT_TOKENS_FILE = path.join(DATA_DIR, 'bot-tokens.json');
+
+// External AI clients, keyed by bot id. Only a hash of each API token is
+// kept, the token itself is shown once when it is created.
+const bots = readJsonFile(BOT_TOKENS_FILE, {});
+let botSaveTimer = null;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Reply counters change every tick, so writes are batched like profiles
+function saveBots() {
+    if (botSaveTimer) return;
+    botSaveTimer = setTimeout(flushBots, 2000);
+}
+
+function flushBots() {
+    clearTimeout(botSaveTimer);
+    botSaveTimer = null;
+    try {
+        writeJsonFile(BOT_TOKENS_FILE, bots);
+    } catch (e) {
+        console.error('Failed to save bot tokens:', e);
+    }
+}
+
+// Returns the new bot and its token
+function createBotToken(name) {
+    const id = `bot-${crypto.randomBytes(4).toString('hex')}`;
+    const token = crypto.randomBytes(24).toString('hex');
+    bots[id] = {
+        id,
+        name,
+        tokenHash: hashToken(token),
+        createdAt: Date.now(),
+        lastSeen: 0,
+        sessions: 0,
+        observations: 0, // Ticks an observation was sent for
+        replies: 0,      // Ticks answered in time
+        lateReplies: 0,  // Commands dropped for answering too old an observation
+        replyTicks: 0    // Total reply delay of the answered ticks, in ticks
+    };
+    flushBots();
+    return { bot: getBotInfo(bots[id]), token };
+}
+
+// The bot a token belongs to, or null
+function verifyBotToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const hash = hashToken(token);
+    return Object.values(bots).find(bot =>
+        crypto.timingSafeEqual(Buffer.from(bot.tokenHash, 'hex'), Buffer.from(hash, 'hex'))
+    ) || null;
+}
+
+function getBot(id) {
+    return typeof id === 'string' && Object.hasOwn(bots, id) ? bots[id] : null;
+}
+
+function revokeBotToken(id) {
+    if (!getBot(id)) return false;
+    delete bots[id];
+    flushBots();
+    return true;
+}
+
+// Add to a bot's counters, e.g. recordBotStats(id, { replies: 1, replyTicks: 2 })
+function recordBotStats(id, changes) {
+    const bot = getBot(id);
+    if (!bot) return;
+    for (const [stat, amount] of Object.entries(changes)) {
+        bot[stat] = (bot[stat] || 0) + amount;
+    }
+    bot.lastSeen = Date.now();
+    saveBots();
+}
+
+function getBotInfo(bot) {
+    const { tokenHash, ...info } = bot;
+    return {
+        ...info,
+        missedTicks: Math.max(0, bot.observations - bot.replies),
+        avgReplyTicks: bot.replies > 0 ? Math.round(bot.replyTicks / bot.replies * 100) / 100 : null
+    };
+}
+
+function listBots() {
+    return Object.values(bots).map(getBotInfo).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    flushBots,
+    createBotToken,
+    verifyBotToken,
+    revokeBotToken,
+    recordBotStats,
+    getBotInfo,
+    listBots
+};
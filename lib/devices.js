@@ -0,0 +1,118 @@
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const DEVICES_FILE = path.join(DATA_DIR, 'devices.json');
+
+// Registered ESP32 controllers, keyed by deviceId, and whether devices that
+// aren't registered may join at all. A device proves itself by signing the
+// challenge its connection was given with its key, so the key has to be kept
+// as is (unlike bot tokens) - treat devices.json like a password file.
+const registry = readJsonFile(DEVICES_FILE, { requireRegistered: false, devices: {} });
+
+// Device ids end up in URLs and firmware configs, keep them simple
+const DEVICE_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+function saveDevices() {
+    try {
+        writeJsonFile(DEVICES_FILE, registry);
+    } catch (e) {
+        console.error('Failed to save devices:', e);
+    }
+}
+
+function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function createKey() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Without the key
+function getDeviceInfo(device) {
+    const { key, ...info } = device;
+    return info;
+}
+
+// Returns the device and its key, the key is only shown here and on rotation
+function registerDevice(deviceId, name) {
+    if (!isValidDeviceId(deviceId)) {
+        throw new Error('Device ids are 1-64 letters, digits, dots, dashes, colons or underscores');
+    }
+    if (registry.devices[deviceId]) {
+        throw new Error(`Device ${deviceId} is already registered`);
+    }
+    const device = {
+        deviceId,
+        name: name || deviceId,
+        key: createKey(),
+        createdAt: Date.now(),
+        rotatedAt: null,
+        lastSeen: 0
+    };
+    registry.devices[deviceId] = device;
+    saveDevices();
+    return { device: getDeviceInfo(device), key: device.key };
+}
+
+// Issue a new key, the old one stops working straight away. Null if unknown.
+function rotateDeviceKey(deviceId) {
+    const device = getDevice(deviceId);
+    if (!device) return null;
+    device.key = createKey();
+    device.rotatedAt = Date.now();
+    saveDevices();
+    return { device: getDeviceInfo(device), key: device.key };
+}
+
+function revokeDevice(deviceId) {
+    if (!getDevice(deviceId)) return false;
+    delete registry.devices[deviceId];
+    saveDevices();
+    return true;
+}
+
+function getDevice(deviceId) {
+    return typeof deviceId === 'string' && Object.hasOwn(registry.devices, deviceId) ? registry.devices[deviceId] : null;
+}
+
+// A join is signed with HMAC-SHA256(key, "<challenge>:<deviceId>") in hex
+function verifyDeviceSignature(device, challenge, signature) {
+    if (!challenge || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) return false;
+    const expected = crypto.createHmac('sha256', device.key).update(`${challenge}:${device.deviceId}`).digest();
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+function recordDeviceSeen(deviceId) {
+    const device = getDevice(deviceId);
+    if (!device) return;
+    device.lastSeen = Date.now();
+    saveDevices();
+}
+
+function requiresRegisteredDevices() {
+    return !!registry.requireRegistered;
+}
+
+function setRequireRegisteredDevices(enabled) {
+    registry.requireRegistered = !!enabled;
+    saveDevices();
+}
+
+function listDevices() {
+    return Object.values(registry.devices).map(getDeviceInfo).sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+}
+
+module.exports = {
+    isValidDeviceId,
+    registerDevice,
+    rotateDeviceKey,
+    revokeDevice,
+    getDevice,
+    verifyDeviceSignature,
+    recordDeviceSeen,
+    requiresRegisteredDevices,
+    setRequireRegisteredDevices,
+    listDevices
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs');
+const { normalizeMap, getBlockedSpawnPoints, getMapInfo } = require('../game/maps');
+const { DATA_DIR, writeJsonFile } = require('./storage');
+
+// Maps that ship with the server, and maps saved on this server. A saved map
+// replaces a bundled one with the same id.
+const BUNDLED_MAPS_DIR = path.join(__dirname, '..', 'maps');
+const SAVED_MAPS_DIR = path.join(DATA_DIR, 'maps');
+const MAP_DIRS = [SAVED_MAPS_DIR, BUNDLED_MAPS_DIR];
+
+// Map ids are file names, so they are kept to lowercase slugs
+function isMapId(id) {
+    return typeof id === 'string' && /^[a-z0-9_-]{1,40}$/.test(id);
+}
+
+function findMapFile(id) {
+    if (!isMapId(id)) return null;
+    for (const dir of MAP_DIRS) {
+        const file = path.join(dir, `${id}.json`);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+// The normalized map, or null if there is no such map. Throws if the file
+// isn't a valid map.
+function readMap(id) {
+    const file = findMapFile(id);
+    if (!file) return null;
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Map "${id}" is not valid JSON`);
+    }
+    return normalizeMap({ ...data, id });
+}
+
+// Save a map from the editor into this server's library. Throws if the map
+// is invalid, so nothing unloadable ends up on disk.
+function saveMap(id, data) {
+    if (!isMapId(id)) {
+        throw new Error('Map id must be 1-40 lowercase letters, digits, - or _');
+    }
+    const map = normalizeMap({ ...data, id });
+    const blocked = getBlockedSpawnPoints(map);
+    if (blocked.length > 0) {
+        const points = blocked.map(i => i + 1).join(', ');
+        throw new Error(blocked.length === 1 ? `Spawn point ${points} is blocked` : `Spawn points ${points} are blocked`);
+    }
+
+    writeJsonFile(path.join(SAVED_MAPS_DIR, `${id}.json`), map);
+    return map;
+}
+
+function listMaps() {
+    const ids = new Set();
+    MAP_DIRS.forEach(dir => {
+        try {
+            fs.readdirSync(dir)
+                .filter(f => f.endsWith('.json'))
+                .forEach(f => ids.add(f.slice(0, -'.json'.length)));
+        } catch (e) {
+            // Directory doesn't exist yet
+        }
+    });
+
+    return [...ids].filter(isMapId).map(id => {
+        try {
+            return getMapInfo(readMap(id));
+        } catch (e) {
+            console.error(`Skipping map ${id}: ${e.message}`);
+            return null;
+        }
+    }).filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    isMapId,
+    readMap,
+    saveMap,
+    listMaps
+};
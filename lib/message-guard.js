@@ -0,0 +1,287 @@
+const { CONFIG } = require('../game/config');
+const { WIRE_ENCODINGS, JOIN_MESSAGES } = require('./protocol');
+const { TOURNAMENT_FORMATS } = require('./tournaments');
+
+// Field specs: { type, required, maxLength, pattern, values, min, max, fields,
+// items, maxItems, dropInvalid }. type is 'string', 'number' (finite),
+// 'integer', 'boolean', 'object' (plain object, checked against fields when
+// given) or 'array' (every entry checked against the items spec). Missing and
+// null are the same for optional fields, fields a schema doesn't list are
+// ignored. An invalid optional field with dropInvalid is removed from the
+// message instead of rejecting it, so the handler falls back to its default.
+const ROOM_ID = { type: 'string', maxLength: 64 };
+const NAME = { type: 'string', maxLength: 100 };
+const COLOR = { type: 'string', pattern: /^#[0-9a-f]{3}([0-9a-f]{3})?$/i };
+// Older firmware sends colours like "red", those tanks get a random colour
+const JOIN_COLOR = { ...COLOR, dropInvalid: true };
+const AVATAR_URL = { type: 'string', maxLength: 500, pattern: /^(https?:\/\/\S+)?$/ };
+const TEAM = { type: 'string', maxLength: 16 };
+const ENCODING = { type: 'string', values: WIRE_ENCODINGS };
+const ID = { type: 'string', maxLength: 64, required: true };
+const TOKEN = { type: 'string', maxLength: 128, required: true };
+const ENABLED = { type: 'boolean', required: true };
+const BUTTON = { type: 'boolean' };
+// Commands from external bots name the tick they answer
+const TICK = { type: 'integer', min: 0 };
+
+// Every message a client may send, by type
+const MESSAGE_SCHEMAS = {
+    spectate: { roomId: ROOM_ID, encoding: ENCODING },
+    join: {},
+    move: {
+        moving: { type: 'object', required: true, fields: { up: BUTTON, down: BUTTON, left: BUTTON, right: BUTTON } },
+        tick: TICK
+    },
+    // Any direction, the engine wraps it
+    rotate: { angle: { type: 'number', required: true }, tick: TICK },
+    fire: { tick: TICK },
+    clockSync: { clientTime: { type: 'number', required: true } },
+    adminLogin: {
+        sessionToken: { type: 'string', maxLength: 128 },
+        username: { type: 'string', maxLength: 64 },
+        password: { type: 'string', maxLength: 256 }
+    },
+    adminLogout: {},
+    adminListRooms: {},
+    adminSelectRoom: { roomId: { ...ROOM_ID, required: true } },
+    adminCreateRoom: { roomId: ROOM_ID, name: NAME, mode: { type: 'string', maxLength: 32 }, seed: { type: 'integer' }, mapId: ROOM_ID },
+    adminCloseRoom: { roomId: { ...ROOM_ID, required: true } },
+    adminKick: { targetId: ID },
+    adminBan: {
+        targetId: ID,
+        by: { type: 'string', values: ['device', 'ip'] },
+        duration: { type: 'integer', min: 0 },
+        reason: { type: 'string', maxLength: 200 }
+    },
+    adminListBans: {},
+    adminUnban: { banId: ID },
+    adminCreateBotToken: { name: { ...NAME, required: true } },
+    adminListBotTokens: {},
+    adminRevokeBotToken: { botId: ID },
+    adminListDevices: {},
+    adminRegisterDevice: { deviceId: ID, name: NAME },
+    adminRotateDeviceKey: { deviceId: ID },
+    adminRevokeDevice: { deviceId: ID },
+    adminSetRequireRegisteredDevices: { enabled: ENABLED },
+    adminSpawnBot: { primaryColor: COLOR, secondaryColor: COLOR, team: TEAM, difficulty: { type: 'string', maxLength: 16 } },
+    adminRemoveBot: { botId: ID },
+    adminResetScoreboard: {},
+    adminSetGameMode: { mode: { type: 'string', maxLength: 32, required: true } },
+    adminLoadMap: { mapId: ROOM_ID },
+    // Maps and settings are checked in depth by saveMap and updateConfig
+    adminSaveMap: { mapId: ROOM_ID, map: { type: 'object', required: true } },
+    adminSetFriendlyFire: { enabled: ENABLED },
+    adminGetConfig: {},
+    adminUpdateConfig: { config: { type: 'object' }, obstacleTypes: { type: 'object' }, powerupTypes: { type: 'object' } },
+    adminStartRound: {},
+    adminListTournaments: {},
+    adminCreateTournament: {
+        name: NAME,
+        format: { type: 'string', values: TOURNAMENT_FORMATS, required: true },
+        matchDuration: { type: 'integer', min: 10000, max: 3600000 },
+        participants: {
+            type: 'array',
+            required: true,
+            maxItems: 64,
+            items: { type: 'object', fields: { deviceId: ID, name: NAME } }
+        }
+    },
+    adminStartTournament: { tournamentId: ID },
+    adminCancelTournament: { tournamentId: ID },
+    adminGetAuditLog: {
+        admin: { type: 'string', maxLength: 64 },
+        action: { type: 'string', maxLength: 64 },
+        search: { type: 'string', maxLength: 200 },
+        limit: { type: 'integer', min: 1, max: 1000 }
+    },
+    adminGetPlayers: {},
+    adminGetMessageStats: {},
+    adminGetCheatFlags: {},
+    adminSetAutoKick: { enabled: ENABLED },
+    simulatorJoin: {
+        sessionToken: TOKEN,
+        roomId: ROOM_ID,
+        name: NAME,
+        deviceId: { type: 'string', maxLength: 64 },
+        primaryColor: JOIN_COLOR,
+        secondaryColor: JOIN_COLOR,
+        avatarUrl: AVATAR_URL,
+        team: TEAM,
+        encoding: ENCODING
+    },
+    botJoin: { token: TOKEN, roomId: ROOM_ID, primaryColor: JOIN_COLOR, secondaryColor: JOIN_COLOR, team: TEAM, encoding: ENCODING },
+    esp32Join: {
+        roomId: ROOM_ID,
+        name: NAME,
+        deviceId: { type: 'string', maxLength: 64 },
+        signature: { type: 'string', maxLength: 128 },
+        primaryColor: JOIN_COLOR,
+        secondaryColor: JOIN_COLOR,
+        avatarUrl: AVATAR_URL,
+        team: TEAM,
+        encoding: ENCODING
+    }
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Returns what is wrong with a value, or null
+function checkField(spec, value, path) {
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (spec.maxLength && value.length > spec.maxLength) return `${path} is longer than ${spec.maxLength} characters`;
+            if (spec.pattern && !spec.pattern.test(value)) return `${path} is not valid`;
+            if (spec.values && !spec.values.includes(value)) return `${path} must be one of ${spec.values.join(', ')}`;
+            return null;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+            if (spec.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+            if (spec.min !== undefined && value < spec.min) return `${path} must be at least ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${path} must be at most ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false`;
+        case 'object':
+            if (!isPlainObject(value)) return `${path} must be an object`;
+            return spec.fields ? checkFields(spec.fields, value, `${path}.`) : null;
+        case 'array':
+            if (!Array.isArray(value)) return `${path} must be a list`;
+            if (spec.maxItems && value.length > spec.maxItems) return `${path} has more than ${spec.maxItems} entries`;
+            for (let i = 0; i < value.length; i++) {
+                const error = checkField(spec.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        default:
+            return `${path} has an unknown type`;
+    }
+}
+
+function checkFields(fields, data, prefix = '') {
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = data[name];
+        if (value === undefined || value === null) {
+            if (spec.required) return `${prefix}${name} is required`;
+            continue;
+        }
+        const error = checkField(spec, value, `${prefix}${name}`);
+        if (error && spec.dropInvalid && !spec.required) {
+            delete data[name];
+        } else if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+// Returns why a decoded message doesn't match its type's schema, or null
+function validateMessage(data) {
+    if (!isPlainObject(data) || typeof data.type !== 'string') return 'Malformed message';
+    if (!Object.hasOwn(MESSAGE_SCHEMAS, data.type)) return 'Unknown message type';
+    return checkFields(MESSAGE_SCHEMAS[data.type], data);
+}
+
+function getLimitName(type) {
+    if (Object.hasOwn(CONFIG.MESSAGE_RATE_LIMITS, type) && type !== 'connection') return type;
+    return JOIN_MESSAGES.includes(type) ? 'join' : 'other';
+}
+
+class TokenBucket {
+    constructor({ rate, burst }) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    take(now = Date.now()) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+}
+
+// Rejected messages since the server started, by message type:
+// { [type]: { invalid, rateLimited } }. Unknown types count as 'unknown'.
+const rejectedCounts = {};
+// Connections dropped for too many rejected messages, newest first
+const offenders = [];
+const MAX_OFFENDERS = 100;
+
+// Checks the messages of one connection against their schema and rate limits,
+// and notices when a connection keeps sending messages that get rejected
+class MessageGuard {
+    constructor() {
+        this.connectionBucket = new TokenBucket(CONFIG.MESSAGE_RATE_LIMITS.connection);
+        this.buckets = new Map();
+        this.violations = []; // Times of recent rejections
+        this.counts = { invalid: 0, rateLimited: 0 };
+        this.lastError = null;
+    }
+
+    // Returns null when the message may be handled, otherwise
+    // { reason: 'invalid' | 'rateLimited', error }
+    check(data) {
+        const type = isPlainObject(data) && Object.hasOwn(MESSAGE_SCHEMAS, data.type) ? data.type : 'unknown';
+        if (!this.connectionBucket.take() || (type !== 'unknown' && !this.getBucket(type).take())) {
+            return this.reject(type, 'rateLimited', `Too many ${type} messages`);
+        }
+        const error = validateMessage(data);
+        return error ? this.reject(type, 'invalid', error) : null;
+    }
+
+    getBucket(type) {
+        const name = getLimitName(type);
+        if (!this.buckets.has(name)) {
+            this.buckets.set(name, new TokenBucket(CONFIG.MESSAGE_RATE_LIMITS[name]));
+        }
+        return this.buckets.get(name);
+    }
+
+    reject(type, reason, error) {
+        const counts = rejectedCounts[type] || (rejectedCounts[type] = { invalid: 0, rateLimited: 0 });
+        counts[reason]++;
+        this.counts[reason]++;
+        this.lastError = error;
+        const now = Date.now();
+        this.violations.push(now);
+        while (this.violations[0] <= now - CONFIG.MESSAGE_VIOLATION_WINDOW) this.violations.shift();
+        return { reason, error };
+    }
+
+    // Too many rejections within MESSAGE_VIOLATION_WINDOW
+    isOffender() {
+        return this.violations.length >= CONFIG.MESSAGE_VIOLATION_LIMIT;
+    }
+}
+
+// Remember a dropped connection for the admin panel. info is
+// { ip, roomId, name, deviceId } of whoever was connected.
+function recordOffender(guard, info) {
+    offenders.unshift({
+        time: Date.now(),
+        ...info,
+        invalid: guard.counts.invalid,
+        rateLimited: guard.counts.rateLimited,
+        lastError: guard.lastError
+    });
+    offenders.length = Math.min(offenders.length, MAX_OFFENDERS);
+}
+
+function getMessageStats() {
+    return { rejected: rejectedCounts, offenders };
+}
+
+module.exports = {
+    MESSAGE_SCHEMAS,
+    validateMessage,
+    MessageGuard,
+    recordOffender,
+    getMessageStats
+};
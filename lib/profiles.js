@@ -0,0 +1,97 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+const { isValidDeviceId } = require('./devices');
+
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+
+// Lifetime player profiles keyed by deviceId. Device ids come from clients,
+// so the object has no prototype for one like "__proto__" to reach.
+const profiles = Object.assign(Object.create(null), readJsonFile(PROFILES_FILE, {}));
+let profileSaveTimer = null;
+
+// Profiles change on every kill, so writes are batched
+function saveProfiles() {
+    if (profileSaveTimer) return;
+    profileSaveTimer = setTimeout(flushProfiles, 2000);
+}
+
+function flushProfiles() {
+    clearTimeout(profileSaveTimer);
+    profileSaveTimer = null;
+    try {
+        writeJsonFile(PROFILES_FILE, profiles);
+    } catch (e) {
+        console.error('Failed to save profiles:', e);
+    }
+}
+
+// Bots and tanks without a (valid) device id have no profile
+function getProfile(tank) {
+    if (tank.isBot || !isValidDeviceId(tank.deviceId)) return null;
+
+    if (!Object.hasOwn(profiles, tank.deviceId)) {
+        profiles[tank.deviceId] = {
+            deviceId: tank.deviceId,
+            name: tank.name,
+            kills: 0,
+            deaths: 0,
+            score: 0,
+            matchesPlayed: 0,
+            bestStreak: 0,
+            wins: 0,
+            captures: 0,
+            firstSeen: Date.now(),
+            lastSeen: Date.now()
+        };
+    }
+    return profiles[tank.deviceId];
+}
+
+// Add to a tank's lifetime stats, e.g. updateProfile(tank, { kills: 1, score: 100 })
+function updateProfile(tank, changes = {}) {
+    const profile = getProfile(tank);
+    if (!profile) return;
+
+    for (const [stat, amount] of Object.entries(changes)) {
+        profile[stat] = (profile[stat] || 0) + amount;
+    }
+    profile.name = tank.name;
+    profile.bestStreak = Math.max(profile.bestStreak, tank.streak);
+    profile.lastSeen = Date.now();
+    saveProfiles();
+}
+
+// Lifetime stats of one device, or null if it has never played
+function getProfileStats(deviceId) {
+    if (!isValidDeviceId(deviceId) || !Object.hasOwn(profiles, deviceId)) return null;
+    const profile = profiles[deviceId];
+    const { kills, deaths, score, matchesPlayed, bestStreak, wins, captures } = profile;
+    return { kills, deaths, score, matchesPlayed, bestStreak, wins, captures };
+}
+
+const LEADERBOARD_SORTS = ['score', 'kills', 'wins', 'bestStreak', 'matchesPlayed'];
+
+function getLeaderboard(sort = 'score', limit = 20) {
+    return Object.values(profiles)
+        .sort((a, b) => (b[sort] || 0) - (a[sort] || 0))
+        .slice(0, limit)
+        .map(p => ({
+            name: p.name,
+            kills: p.kills,
+            deaths: p.deaths,
+            score: p.score,
+            matchesPlayed: p.matchesPlayed,
+            bestStreak: p.bestStreak,
+            wins: p.wins,
+            captures: p.captures,
+            lastSeen: p.lastSeen
+        }));
+}
+
+module.exports = {
+    flushProfiles,
+    updateProfile,
+    getProfileStats,
+    LEADERBOARD_SORTS,
+    getLeaderboard
+};
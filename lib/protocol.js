@@ -0,0 +1,82 @@
+const msgpack = require('@msgpack/msgpack');
+
+// Wire formats a client can pick when it joins. JSON is sent as text frames,
+// MessagePack as binary frames (ArduinoJson reads it with deserializeMsgPack).
+const WIRE_ENCODINGS = ['json', 'msgpack'];
+const JOIN_MESSAGES = ['spectate', 'simulatorJoin', 'esp32Join', 'botJoin', 'adminLogin'];
+// Positions don't need double precision, float32 halves their size
+const MSGPACK_OPTIONS = { forceFloat32: true, ignoreUndefined: true };
+
+function encodeMessage(data, encoding) {
+    return encoding === 'msgpack' ? msgpack.encode(data, MSGPACK_OPTIONS) : JSON.stringify(data);
+}
+
+// Clients may send in either format, binary frames are MessagePack
+function decodeMessage(message, isBinary) {
+    return isBinary ? msgpack.decode(message) : JSON.parse(message);
+}
+
+// State is broadcast as a full 'gameState' keyframe every KEYFRAME_INTERVAL and
+// as a 'gameDelta' against the previous broadcast in between. Per entity list a
+// delta holds { added: [entities], changed: [{ id, ...fields }], removed: [ids] };
+// flags, round, match and tournament are only included when they changed, tick
+// and time always. Bullets are sent without their position, so they are only
+// ever added or removed.
+const DELTA_LISTS = ['tanks', 'bullets', 'obstacles', 'powerups'];
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffEntities(prevList, nextList) {
+    const prevById = new Map(prevList.map(e => [e.id, e]));
+    const added = [];
+    const changed = [];
+
+    nextList.forEach(entity => {
+        const prev = prevById.get(entity.id);
+        if (!prev) {
+            added.push(entity);
+            return;
+        }
+        prevById.delete(entity.id);
+
+        let fields = null;
+        for (const key of Object.keys(entity)) {
+            if (!sameValue(prev[key], entity[key])) {
+                fields = fields || { id: entity.id };
+                fields[key] = entity[key];
+            }
+        }
+        if (fields) changed.push(fields);
+    });
+
+    const diff = {};
+    if (added.length > 0) diff.added = added;
+    if (changed.length > 0) diff.changed = changed;
+    if (prevById.size > 0) diff.removed = [...prevById.keys()];
+    return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function diffNetState(prev, next) {
+    const delta = { type: 'gameDelta', tick: next.tick, time: next.time };
+    DELTA_LISTS.forEach(list => {
+        const diff = diffEntities(prev[list], next[list]);
+        if (diff) delta[list] = diff;
+    });
+    if (!sameValue(prev.flags, next.flags)) delta.flags = next.flags;
+    if (!sameValue(prev.round, next.round)) delta.round = next.round;
+    if (!sameValue(prev.match, next.match)) delta.match = next.match;
+    if (!sameValue(prev.tournament, next.tournament)) delta.tournament = next.tournament;
+    return delta;
+}
+
+module.exports = {
+    WIRE_ENCODINGS,
+    JOIN_MESSAGES,
+    encodeMessage,
+    decodeMessage,
+    diffNetState
+};
@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { CONFIG } = require('../game/config');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+
+// Match recorder - every message broadcast to a room is appended to a gzipped
+// NDJSON file as { t: ms since start, k: game tick, m: message }, after a header
+// line. Player inputs are stored as { t, k, input } with the tick they ran on.
+class MatchRecorder {
+    constructor(room) {
+        const engine = room.engine;
+        this.startedAt = Date.now();
+        this.id = `${room.id}_${this.startedAt}`;
+        this.clock = engine.clock;
+        this.roomId = room.id;
+        this.roomName = room.name;
+        this.mode = engine.mode;
+        this.frames = 0;
+        this.hasKeyframe = false; // Deltas need a keyframe before them to replay
+        this.players = new Set();
+        this.trackPlayers(engine);
+
+        fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+        this.gzip = zlib.createGzip();
+        this.file = fs.createWriteStream(getRecordingFile(this.id));
+        this.gzip.on('error', e => console.error(`Recording ${this.id} failed:`, e));
+        this.file.on('error', e => console.error(`Recording ${this.id} failed:`, e));
+        this.gzip.pipe(this.file);
+
+        this.gzip.write(JSON.stringify({
+            version: 2,
+            id: this.id,
+            roomId: this.roomId,
+            roomName: this.roomName,
+            mode: this.mode,
+            startedAt: this.startedAt,
+            // Where the room's simulation was when recording started
+            seed: engine.rng.seed,
+            rngState: engine.rng.state,
+            tick: engine.clock.tick,
+            tickRate: engine.clock.tickRate
+        }) + '\n');
+    }
+
+    trackPlayers(engine) {
+        engine.tanks.forEach(tank => {
+            if (!tank.isBot) this.players.add(tank.name);
+        });
+    }
+
+    // message is the already serialized JSON string
+    write(message) {
+        this.frames++;
+        this.gzip.write(`{"t":${Date.now() - this.startedAt},"k":${this.clock.tick},"m":${message}}\n`);
+    }
+
+    writeInput(tick, tankId, input) {
+        this.gzip.write(JSON.stringify({ t: Date.now() - this.startedAt, k: tick, input: { tankId, ...input } }) + '\n');
+    }
+
+    // Resolves once the file is fully written
+    stop(engine) {
+        this.trackPlayers(engine);
+        const endedAt = Date.now();
+        return new Promise(resolve => {
+            this.file.on('close', () => {
+                try {
+                    writeJsonFile(getRecordingFile(this.id, '.json'), {
+                        id: this.id,
+                        roomId: this.roomId,
+                        roomName: this.roomName,
+                        mode: this.mode,
+                        startedAt: this.startedAt,
+                        endedAt,
+                        duration: endedAt - this.startedAt,
+                        frames: this.frames,
+                        players: [...this.players]
+                    });
+                } catch (e) {
+                    console.error(`Failed to save recording info for ${this.id}:`, e);
+                }
+                resolve();
+            });
+            this.gzip.end();
+        });
+    }
+}
+
+// Recording ids are "<roomId>_<startedAt>", anything else is rejected
+function getRecordingFile(id, ext = '.ndjson.gz') {
+    if (typeof id !== 'string' || !/^[a-z0-9_-]+_\d+$/.test(id)) return null;
+    return path.join(RECORDINGS_DIR, id + ext);
+}
+
+// liveIds are the recordings still being written
+function listRecordings(liveIds = []) {
+    let files = [];
+    try {
+        files = fs.readdirSync(RECORDINGS_DIR).filter(f => f.endsWith('.ndjson.gz'));
+    } catch (e) {
+        return [];
+    }
+
+    return files.map(f => {
+        const id = f.slice(0, -'.ndjson.gz'.length);
+        const file = getRecordingFile(id);
+        if (!file) return null;
+        const live = liveIds.includes(id);
+        // Recordings cut short by a crash have no info file
+        const info = readJsonFile(getRecordingFile(id, '.json'), null) || {
+            id,
+            roomId: id.slice(0, id.lastIndexOf('_')),
+            startedAt: parseInt(id.slice(id.lastIndexOf('_') + 1), 10)
+        };
+        return { ...info, size: fs.statSync(file).size, live };
+    }).filter(Boolean).sort((a, b) => b.startedAt - a.startedAt);
+}
+
+function pruneRecordings(liveIds = []) {
+    listRecordings(liveIds).filter(r => !r.live).slice(CONFIG.MAX_RECORDINGS).forEach(r => {
+        fs.rmSync(getRecordingFile(r.id), { force: true });
+        fs.rmSync(getRecordingFile(r.id, '.json'), { force: true });
+    });
+}
+
+module.exports = {
+    MatchRecorder,
+    getRecordingFile,
+    listRecordings,
+    pruneRecordings
+};
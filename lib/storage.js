@@ -0,0 +1,31 @@
+const path = require('path');
+const fs = require('fs');
+
+// Persistent server data (player profiles, recordings, ...) is stored here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Read a JSON data file, falling back when it doesn't exist yet
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Failed to read ${file}:`, e);
+        }
+        return fallback;
+    }
+}
+
+// Write through a temp file so a crash never leaves half a file behind
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+module.exports = {
+    DATA_DIR,
+    readJsonFile,
+    writeJsonFile
+};
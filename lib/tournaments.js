@@ -0,0 +1,339 @@
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../game/config');
+const { sanitizeTankName } = require('../game/utils');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./storage');
+
+const TOURNAMENTS_FILE = path.join(DATA_DIR, 'tournaments.json');
+
+const TOURNAMENT_FORMATS = ['single', 'double'];
+const MAX_PARTICIPANTS = 64;
+
+// Tournaments keyed by id: { id, name, format, matchDuration, participants:
+// [{ deviceId, name }] in seed order, matches, status, roomId, createdBy,
+// createdAt, startedAt, finishedAt, champion }. status is 'pending' until
+// started, then 'running', 'finished' or 'cancelled'.
+//
+// A match is { id, bracket, round, label, players: [a, b], winnerTo, loserTo,
+// status, winner, scores, forfeit, bye, queue, playedAt }. Players are device
+// ids, null while the match feeding the slot hasn't been played and false
+// for a bye. winnerTo and loserTo are the { matchId, slot } the players move
+// on to. status goes 'pending' -> 'ready' (both players known) -> 'playing'
+// -> 'done', or 'skipped' for a grand final reset that isn't needed. Ready
+// matches are played in the order they became ready (queue).
+const tournaments = readJsonFile(TOURNAMENTS_FILE, {});
+
+function saveTournaments() {
+    try {
+        writeJsonFile(TOURNAMENTS_FILE, tournaments);
+    } catch (e) {
+        console.error('Failed to save tournaments:', e);
+    }
+}
+
+// Seed positions in bracket order, so the top seeds only meet late:
+// 1v8, 4v5, 2v7, 3v6 for 8
+function getSeedOrder(size) {
+    let order = [0];
+    while (order.length < size) {
+        const count = order.length * 2;
+        order = order.flatMap(seed => [seed, count - 1 - seed]);
+    }
+    return order;
+}
+
+function createMatch(id, bracket, round, label) {
+    return {
+        id, bracket, round, label,
+        players: [null, null],
+        winnerTo: null,
+        loserTo: null,
+        status: 'pending',
+        winner: null,
+        scores: null,
+        forfeit: false,
+        bye: false,
+        queue: 0,
+        playedAt: 0
+    };
+}
+
+function link(match, slot) {
+    return { matchId: match.id, slot };
+}
+
+// Single elimination is one bracket. Double elimination adds a losers bracket,
+// where losers of the winners bracket get a second life, and a grand final
+// between both bracket winners. The losers bracket alternates between rounds
+// where its survivors meet the next round's winners bracket losers and rounds
+// among themselves.
+function buildBracket(format, participants) {
+    const rounds = Math.max(1, Math.ceil(Math.log2(participants.length)));
+    const size = 2 ** rounds;
+    const double = format === 'double';
+    const matches = [];
+    const add = match => {
+        matches.push(match);
+        return match;
+    };
+
+    const winners = [];
+    for (let round = 1; round <= rounds; round++) {
+        let label = double ? `Winners round ${round}` : `Round ${round}`;
+        if (round === rounds) label = double ? 'Winners final' : 'Final';
+        else if (round === rounds - 1 && !double) label = 'Semifinal';
+        winners[round] = [];
+        for (let i = 0; i < size / 2 ** round; i++) {
+            winners[round].push(add(createMatch(`W${round}-${i + 1}`, 'winners', round, label)));
+        }
+    }
+    for (let round = 1; round < rounds; round++) {
+        winners[round].forEach((match, i) => { match.winnerTo = link(winners[round + 1][Math.floor(i / 2)], i % 2); });
+    }
+
+    if (double) {
+        const losers = [];
+        const loserRounds = 2 * (rounds - 1);
+        for (let round = 1; round <= loserRounds; round++) {
+            const label = round === loserRounds ? 'Losers final' : `Losers round ${round}`;
+            losers[round] = [];
+            for (let i = 0; i < size / 2 ** (Math.floor((round + 1) / 2) + 1); i++) {
+                losers[round].push(add(createMatch(`L${round}-${i + 1}`, 'losers', round, label)));
+            }
+        }
+        const final = add(createMatch('GF', 'final', 1, 'Grand final'));
+        // Only played when the losers bracket winner takes the grand final
+        add(createMatch('GF2', 'final', 2, 'Grand final reset'));
+
+        winners[rounds][0].winnerTo = link(final, 0);
+        for (let round = 1; round <= rounds; round++) {
+            const count = winners[round].length;
+            winners[round].forEach((match, i) => {
+                if (rounds === 1) match.loserTo = link(final, 1);
+                else if (round === 1) match.loserTo = link(losers[1][Math.floor(i / 2)], i % 2);
+                // Dropped in reverse order, so players don't meet again straight away
+                else match.loserTo = link(losers[2 * (round - 1)][count - 1 - i], 1);
+            });
+        }
+        for (let round = 1; round <= loserRounds; round++) {
+            losers[round].forEach((match, i) => {
+                if (round === loserRounds) match.winnerTo = link(final, 1);
+                else if (round % 2 === 1) match.winnerTo = link(losers[round + 1][i], 0);
+                else match.winnerTo = link(losers[round + 1][Math.floor(i / 2)], i % 2);
+            });
+        }
+    }
+
+    // Seeds without a participant are byes
+    const order = getSeedOrder(size);
+    winners[1].forEach((match, i) => {
+        match.players = [order[2 * i], order[2 * i + 1]].map(seed => seed < participants.length ? participants[seed].deviceId : false);
+    });
+    return matches;
+}
+
+function getMatch(tournament, matchId) {
+    return tournament.matches.find(match => match.id === matchId) || null;
+}
+
+function getParticipantName(tournament, deviceId) {
+    const participant = tournament.participants.find(p => p.deviceId === deviceId);
+    return participant ? participant.name : deviceId;
+}
+
+// Byes are walkovers, matches with both players known are ready to play
+function settleMatch(tournament, match) {
+    if (match.status !== 'pending' || match.players.includes(null)) return;
+    if (match.players.includes(false)) {
+        match.status = 'done';
+        match.bye = true;
+        match.winner = match.players.find(player => player !== false) || false;
+        advance(tournament, match, match.winner, false);
+    } else {
+        match.status = 'ready';
+        match.queue = ++tournament.queued;
+    }
+}
+
+function fillSlot(tournament, { matchId, slot }, player) {
+    const match = getMatch(tournament, matchId);
+    match.players[slot] = player;
+    settleMatch(tournament, match);
+}
+
+function advance(tournament, match, winner, loser) {
+    if (match.id === 'GF') {
+        // The winners bracket winner hasn't lost yet, a loss here means one more match
+        if (winner === match.players[0] || match.players[1] === false) {
+            getMatch(tournament, 'GF2').status = 'skipped';
+            finish(tournament, winner);
+        } else {
+            const reset = getMatch(tournament, 'GF2');
+            reset.players = [...match.players];
+            settleMatch(tournament, reset);
+        }
+        return;
+    }
+    if (!match.winnerTo) {
+        finish(tournament, winner);
+        return;
+    }
+    fillSlot(tournament, match.winnerTo, winner);
+    if (match.loserTo) fillSlot(tournament, match.loserTo, loser);
+}
+
+function finish(tournament, champion) {
+    tournament.status = 'finished';
+    tournament.champion = champion;
+    tournament.finishedAt = Date.now();
+}
+
+// participants are [{ deviceId, name }] in seed order, the best first.
+// matchDuration is in ms, missing for TOURNAMENT_MATCH_DURATION.
+function createTournament({ name, format, participants, matchDuration, createdBy }) {
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+        throw new Error(`Format must be one of ${TOURNAMENT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(participants) || participants.length < 2 || participants.length > MAX_PARTICIPANTS) {
+        throw new Error(`Tournaments need 2-${MAX_PARTICIPANTS} participants`);
+    }
+    const seen = new Set();
+    const entries = participants.map(participant => {
+        const deviceId = participant && typeof participant.deviceId === 'string' ? participant.deviceId.trim() : '';
+        if (!deviceId) throw new Error('Every participant needs a device id');
+        if (seen.has(deviceId)) throw new Error(`Device ${deviceId} is entered twice`);
+        seen.add(deviceId);
+        return { deviceId, name: sanitizeTankName(participant.name || deviceId) };
+    });
+
+    const tournament = {
+        id: `tournament-${crypto.randomBytes(4).toString('hex')}`,
+        name: sanitizeTankName(name || 'Tournament'),
+        format,
+        matchDuration: matchDuration > 0 ? matchDuration : CONFIG.TOURNAMENT_MATCH_DURATION,
+        participants: entries,
+        matches: buildBracket(format, entries),
+        queued: 0,
+        status: 'pending',
+        roomId: null,
+        createdBy: createdBy || null,
+        createdAt: Date.now(),
+        startedAt: 0,
+        finishedAt: 0,
+        champion: null
+    };
+    tournament.matches.forEach(match => settleMatch(tournament, match));
+    tournaments[tournament.id] = tournament;
+    saveTournaments();
+    return tournament;
+}
+
+function getTournament(id) {
+    return typeof id === 'string' && Object.hasOwn(tournaments, id) ? tournaments[id] : null;
+}
+
+// Start running a tournament in a room, or resume one after a restart. A
+// match that was being played when the server stopped is played again.
+function startTournament(id, roomId) {
+    const tournament = getTournament(id);
+    if (!tournament) throw new Error('Tournament not found');
+    if (tournament.status !== 'pending' && tournament.status !== 'running') {
+        throw new Error(`Tournament is ${tournament.status}`);
+    }
+    tournament.status = 'running';
+    tournament.roomId = roomId;
+    tournament.startedAt = tournament.startedAt || Date.now();
+    tournament.matches.forEach(match => {
+        if (match.status === 'playing') match.status = 'ready';
+    });
+    saveTournaments();
+    return tournament;
+}
+
+function cancelTournament(id) {
+    const tournament = getTournament(id);
+    if (!tournament || tournament.status === 'finished' || tournament.status === 'cancelled') return null;
+    tournament.status = 'cancelled';
+    tournament.finishedAt = Date.now();
+    saveTournaments();
+    return tournament;
+}
+
+// The ready match that has waited longest, marked as playing, or null
+function takeNextMatch(id) {
+    const tournament = getTournament(id);
+    if (!tournament || tournament.status !== 'running') return null;
+    const match = tournament.matches
+        .filter(m => m.status === 'ready')
+        .sort((a, b) => a.queue - b.queue)[0];
+    if (!match) return null;
+    match.status = 'playing';
+    saveTournaments();
+    return match;
+}
+
+// Record who won a match and move the players on. scores are by device id.
+function recordResult(id, matchId, { winner, scores, forfeit }) {
+    const tournament = getTournament(id);
+    const match = tournament && getMatch(tournament, matchId);
+    if (!match || match.status !== 'playing') throw new Error('That match is not being played');
+    if (!match.players.includes(winner)) throw new Error('The winner has to be one of the players');
+
+    match.status = 'done';
+    match.winner = winner;
+    match.scores = scores || null;
+    match.forfeit = !!forfeit;
+    match.playedAt = Date.now();
+    advance(tournament, match, winner, match.players.find(player => player !== winner));
+    saveTournaments();
+    return tournament;
+}
+
+// Newest first, without the brackets
+function listTournaments() {
+    return Object.values(tournaments)
+        .map(({ matches, queued, ...tournament }) => ({
+            ...tournament,
+            matchesPlayed: matches.filter(m => m.status === 'done' && !m.bye).length,
+            matchesLeft: matches.filter(m => m.status === 'pending' || m.status === 'ready' || m.status === 'playing').length
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// What spectators see: names instead of device ids, and byes left out
+function getBracketView(tournament) {
+    const name = player => player ? getParticipantName(tournament, player) : player;
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        champion: tournament.champion ? getParticipantName(tournament, tournament.champion) : null,
+        // The grand final reset only shows up once it is needed
+        matches: tournament.matches.filter(match => !match.bye && match.status !== 'skipped' &&
+            !(match.id === 'GF2' && match.status === 'pending')).map(match => ({
+            id: match.id,
+            bracket: match.bracket,
+            round: match.round,
+            label: match.label,
+            players: match.players.map(name),
+            winner: match.winner ? match.players.indexOf(match.winner) : null,
+            scores: match.scores ? match.players.map(player => match.scores[player] || null) : null,
+            forfeit: match.forfeit,
+            status: match.status
+        }))
+    };
+}
+
+module.exports = {
+    TOURNAMENT_FORMATS,
+    createTournament,
+    getTournament,
+    getParticipantName,
+    startTournament,
+    cancelTournament,
+    takeNextMatch,
+    recordResult,
+    listTournaments,
+    getBracketView
+};
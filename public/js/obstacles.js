@@ -0,0 +1,61 @@
+// Obstacle drawing shared by the spectator view and the map editor
+function drawObstacle(ctx, obstacle) {
+    const size = obstacle.size || 40;
+
+    const colors = {
+        TREE: '#228B22',
+        WALL: '#808080',
+        BARREL: '#8B4513',
+        CRATE: '#DEB887'
+    };
+    const color = colors[obstacle.type] || '#888';
+
+    ctx.save();
+    ctx.translate(obstacle.x, obstacle.y);
+
+    switch (obstacle.type) {
+        case 'TREE':
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(-5, -5, 10, 15);
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(0, -10, size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+
+        case 'WALL':
+            ctx.fillStyle = color;
+            ctx.fillRect(-size / 2, -size / 2, size, size);
+            ctx.strokeStyle = '#666';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(-size / 2, -size / 2, size, size);
+            break;
+
+        case 'BARREL':
+            ctx.font = `${size}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('💣', 0, 0);
+            break;
+
+        case 'CRATE':
+            ctx.fillStyle = color;
+            ctx.fillRect(-size / 2, -size / 2, size, size);
+            ctx.strokeStyle = '#8B7355';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(-size / 2, -size / 2);
+            ctx.lineTo(size / 2, size / 2);
+            ctx.moveTo(size / 2, -size / 2);
+            ctx.lineTo(-size / 2, size / 2);
+            ctx.stroke();
+            ctx.fillStyle = '#000';
+            ctx.font = 'bold 18px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('?', 0, 0);
+            break;
+    }
+
+    ctx.restore();
+}
\ No newline at end of file
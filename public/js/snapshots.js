@@ -0,0 +1,123 @@
+// Snapshot interpolation for the spectator view. State messages carry the
+// server's game time, and the view draws tanks SNAPSHOT_RENDER_DELAY behind it,
+// between the two snapshots around that moment. Messages bunched up or held
+// back by busy Wi-Fi then no longer make tanks stutter. Bullets fly in a
+// straight line, so they are placed from where and when they were fired instead.
+const SNAPSHOT_RENDER_DELAY = 100;
+// Snapshots older than this behind the newest are dropped
+const SNAPSHOT_BUFFER_TIME = 1000;
+// Tanks that moved further than this between snapshots respawned, they jump
+const SNAPSHOT_MAX_SLIDE = 150;
+
+// Shortest signed turn from one angle to another
+function snapshotAngleDifference(from, to) {
+    const diff = (to - from) % (Math.PI * 2);
+    if (diff > Math.PI) return diff - Math.PI * 2;
+    if (diff < -Math.PI) return diff + Math.PI * 2;
+    return diff;
+}
+
+// A bullet where it is at a server time, or null when it isn't in the air then.
+// Recordings from before bullets carried firedAt have their position at sentAt.
+function placeBullet(bullet, time, sentAt, tickMs) {
+    const flown = bullet.firedAt !== undefined
+        ? bullet.speed * (time - bullet.firedAt) / tickMs
+        : Math.hypot(bullet.x - bullet.startX, bullet.y - bullet.startY) + (bullet.speed || 0) * (time - sentAt) / tickMs;
+    // Not fired yet, or past the end of its range
+    if (flown < 0 || (bullet.range && flown > bullet.range)) return null;
+    return {
+        ...bullet,
+        x: bullet.startX + Math.cos(bullet.angle) * flown,
+        y: bullet.startY + Math.sin(bullet.angle) * flown
+    };
+}
+
+class SnapshotBuffer {
+    constructor() {
+        this.snapshots = []; // { time, tanks: Map of id -> { x, y, angle }, bullets }, oldest first
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+
+    // Remember where things were at a server time, after a keyframe or delta
+    // was applied to state. Messages without a time (old recordings) are drawn
+    // as they arrive.
+    push(time, state) {
+        if (typeof time !== 'number') return;
+        const last = this.snapshots[this.snapshots.length - 1];
+        // A time going backwards means a new room or a replay seek
+        if (last && time < last.time) this.clear();
+        if (last && time === last.time) this.snapshots.pop();
+
+        this.snapshots.push({
+            time,
+            tanks: new Map(state.tanks.map(t => [t.id, { x: t.x, y: t.y, angle: t.angle }])),
+            bullets: state.bullets.map(b => ({ ...b }))
+        });
+        while (this.snapshots.length > 2 && this.snapshots[1].time < time - SNAPSHOT_BUFFER_TIME) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Tanks and bullets of state placed where they were at renderTime.
+    // tickMs converts bullet speeds, which are per tick.
+    sample(state, renderTime, tickMs) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return { tanks: state.tanks, bullets: state.bullets };
+
+        const next = snapshots.findIndex(s => s.time > renderTime);
+        // Past the newest snapshot tanks wait there, bullets keep flying
+        const to = next === -1 ? snapshots[snapshots.length - 1] : snapshots[next];
+        const from = next > 0 ? snapshots[next - 1] : to;
+        const t = to.time > from.time ? Math.max(0, Math.min(1, (renderTime - from.time) / (to.time - from.time))) : 1;
+
+        const tanks = state.tanks.map(tank => {
+            const a = from.tanks.get(tank.id);
+            const b = to.tanks.get(tank.id);
+            if (!a || !b) return tank;
+            if (Math.hypot(b.x - a.x, b.y - a.y) > SNAPSHOT_MAX_SLIDE) return { ...tank, ...b };
+            return {
+                ...tank,
+                x: a.x + (b.x - a.x) * t,
+                y: a.y + (b.y - a.y) * t,
+                angle: a.angle + snapshotAngleDifference(a.angle, b.angle) * t
+            };
+        });
+
+        const bullets = to.bullets.map(bullet => placeBullet(bullet, renderTime, to.time, tickMs)).filter(Boolean);
+        return { tanks, bullets };
+    }
+}
+
+// Estimates the server's game clock from clockSync round trips. The sample
+// with the shortest round trip is the most accurate, half of it is assumed to
+// be the way back.
+class ServerClock {
+    constructor() {
+        // Until the first sync, assume the clocks agree
+        this.offset = Date.now() - performance.now();
+        this.samples = []; // { rtt, offset }, newest last
+    }
+
+    now() {
+        return performance.now() + this.offset;
+    }
+
+    // The request to send to the server. Whole milliseconds, MessagePack
+    // replies would round a fraction to float32.
+    request() {
+        return { type: 'clockSync', clientTime: Math.round(performance.now()) };
+    }
+
+    // The server's clockSync reply
+    update({ clientTime, serverTime }) {
+        const received = performance.now();
+        const rtt = received - clientTime;
+        if (rtt < 0) return;
+        this.samples.push({ rtt, offset: serverTime + rtt / 2 - received });
+        if (this.samples.length > 8) this.samples.shift();
+        this.offset = this.samples.reduce((best, sample) => sample.rtt < best.rtt ? sample : best).offset;
+    }
+}
@@ -0,0 +1,67 @@
+// Manage admin accounts in data/admins.json (or ADMIN_ACCOUNTS_FILE):
+//
+//   node scripts/add-admin.js <username> <role>    add or change an account, prompts for the password
+//   node scripts/add-admin.js --remove <username>  delete an account
+//   node scripts/add-admin.js --hash               print a password hash for the ADMIN_ACCOUNTS env var
+//
+// Roles: operator (rooms, bots, maps, settings, plus everything a moderator can),
+// moderator (kick and ban), simulator (simulator.html only).
+// Restart the server for changes to take effect.
+const readline = require('readline');
+const { ADMINS_FILE, ROLES, hashPassword, saveAdminAccount, removeAdminAccount } = require('../lib/admin-auth');
+
+// Read a password without echoing it
+function promptPassword(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+        let muted = false;
+        rl._writeToOutput = text => {
+            if (!muted) process.stdout.write(text);
+        };
+        rl.question(question, answer => {
+            rl.close();
+            if (process.stdin.isTTY) process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+async function readNewPassword() {
+    const password = await promptPassword('Password: ');
+    if (password.length < 8) {
+        throw new Error('Passwords need at least 8 characters');
+    }
+    if (process.stdin.isTTY && await promptPassword('Repeat password: ') !== password) {
+        throw new Error('Passwords do not match');
+    }
+    return password;
+}
+
+async function main() {
+    const [first, second] = process.argv.slice(2);
+
+    if (first === '--hash') {
+        console.log(await hashPassword(await readNewPassword()));
+        return;
+    }
+
+    if (first === '--remove' && second) {
+        if (!removeAdminAccount(second)) {
+            throw new Error(`No account ${second} in ${ADMINS_FILE}`);
+        }
+        console.log(`Removed ${second} from ${ADMINS_FILE}`);
+        return;
+    }
+
+    if (!first || !ROLES.includes(second)) {
+        throw new Error(`Usage: node scripts/add-admin.js <username> <${ROLES.join('|')}>`);
+    }
+    await saveAdminAccount(first, second, await readNewPassword());
+    console.log(`Saved ${first} (${second}) to ${ADMINS_FILE}`);
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
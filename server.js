@@ -3,752 +3,624 @@ const http = require('http');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { CONFIG, GAME_MODES, TEAMS, MATCH_PHASES, OBSTACLE_TYPES, POWERUP_TYPES, GameEngine } = require('./game');
+const { sanitizeTankName } = require('./game/utils');
+const { flushProfiles, updateProfile, getProfileStats, LEADERBOARD_SORTS, getLeaderboard } = require('./lib/profiles');
+const { MatchRecorder, getRecordingFile, listRecordings, pruneRecordings } = require('./lib/recordings');
+const { WIRE_ENCODINGS, JOIN_MESSAGES, encodeMessage, decodeMessage, diffNetState } = require('./lib/protocol');
+const { readMap, saveMap, listMaps } = require('./lib/maps');
+const { getMapInfo } = require('./game/maps');
+const { getEditableConfig, updateConfig } = require('./game/live-config');
+const { usesTimedMatches } = require('./game/matches');
+const { flushBots, createBotToken, verifyBotToken, revokeBotToken, recordBotStats, listBots } = require('./lib/bot-tokens');
+const { hasAdminAccounts, login, getSession, endSession, hasPermission, getPermissions, pruneAdminAuth } = require('./lib/admin-auth');
+const { logAdminAction, getAuditLog } = require('./lib/audit-log');
+const { addBan, removeBan, findBan, listBans, getBanNotice } = require('./lib/bans');
+const {
+    registerDevice, rotateDeviceKey, revokeDevice, getDevice, verifyDeviceSignature, recordDeviceSeen,
+    requiresRegisteredDevices, setRequireRegisteredDevices, listDevices
+} = require('./lib/devices');
+const { MessageGuard, recordOffender, getMessageStats } = require('./lib/message-guard');
+const { InputMonitor, getCheatFlags, isAutoKickEnabled, setAutoKick } = require('./lib/anti-cheat');
+const {
+    createTournament, getTournament, getParticipantName, startTournament, cancelTournament,
+    takeNextMatch, recordResult, listTournaments, getBracketView
+} = require('./lib/tournaments');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: CONFIG.MAX_MESSAGE_SIZE });
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Game configuration
-const CONFIG = {
-    MAP_WIDTH: 2000,
-    MAP_HEIGHT: 1200,
-    TANK_SIZE: 70,
-    BULLET_SPEED: 8,
-    BULLET_SIZE: 8,
-    BASE_TANK_SPEED: 3,
-    BASE_FIRE_RATE: 500,
-    BASE_DAMAGE: 25,
-    BASE_HEALTH: 100,
-    BASE_FIRE_RANGE: 500,
-    SPAWN_PROTECTION_TIME: 5000,
-    OBSTACLE_SPAWN_INTERVAL: 5000,
-    POWERUP_SPAWN_INTERVAL: 8000,
-    MAX_OBSTACLES: 30,
-    MAX_POWERUPS: 5,
-    ADMIN_PASSWORD: 'TankDestroyer',
-    BOT_REACTION_TIME: 2000,
-    TICK_RATE: 60,
-    HEARTBEAT_INTERVAL: 5000,  // Ping every 5 seconds
-    HEARTBEAT_TIMEOUT: 15000   // Disconnect if no pong for 15 seconds
-};
-
-// Game state
-let gameState = {
-    tanks: new Map(),
-    bullets: [],
-    obstacles: [],
-    powerups: [],
-    scoreboard: [],
-    bannedIPs: new Set(),
-    bots: new Map()
-};
-
-// Obstacle types
-const OBSTACLE_TYPES = {
-    TREE: { hp: 30, destructible: true, color: '#228B22', points: 5 },
-    WALL: { hp: 150, destructible: true, color: '#808080', points: 10 },
-    BARREL: { hp: 20, destructible: true, color: '#8B4513', explosive: true, explosionRadius: 150, explosionDamage: 100, points: 5 },
-    CRATE: { hp: 40, destructible: true, color: '#DEB887', containsPowerup: true, points: 5 }
-};
-
-// Powerup types configuration
-// duration: seconds before expiry (0 = never expires)
-// maxStacks: maximum times this powerup can stack (1 = no stacking)
-// multiplier: effect multiplier per stack
-const POWERUP_TYPES = {
-    SPEED: { color: '#00FFFF', effect: 'speed', multiplier: 1.3, icon: '⚡', duration: 0, maxStacks: 3 },
-    POWER: { color: '#FF0000', effect: 'damage', multiplier: 1.5, icon: '💪', duration: 0, maxStacks: 3 },
-    HEALTH: { color: '#00FF00', effect: 'health', amount: 50, icon: '❤️', duration: 0, maxStacks: 1 },
-    RANGE: { color: '#FFFF00', effect: 'range', multiplier: 1.3, icon: '🎯', duration: 0, maxStacks: 3 },
-    INVINCIBILITY: { color: '#FFD700', effect: 'invincible', icon: '⭐', duration: 10, maxStacks: 1 },
-    MYSTERY: { color: '#da892dff', effect: 'mystery', icon: '❓', duration: 0, maxStacks: 1, explodeChance: 0.50, explosionRadius: 120, explosionDamage: 80 }
-};
-
-// Helper functions
-function randomPosition() {
-    return {
-        x: Math.random() * (CONFIG.MAP_WIDTH - 100) + 50,
-        y: Math.random() * (CONFIG.MAP_HEIGHT - 100) + 50
-    };
-}
-
-// Parse hex color to RGB
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : null;
-}
+// MessagePack codec for browser clients using the binary protocol
+app.get('/vendor/msgpack.min.js', (req, res) => {
+    res.sendFile(require.resolve('@msgpack/msgpack/dist.umd/msgpack.min.js'));
+});
 
-// Calculate color brightness (0-255)
-function getColorBrightness(hex) {
-    const rgb = hexToRgb(hex);
-    if (!rgb) return 0;
-    // Using perceived brightness formula
-    return (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000;
-}
+// Public room list for the spectator and simulator pages
+app.get('/api/rooms', (req, res) => {
+    res.json([...rooms.values()].map(r => r.toJSON()));
+});
 
-// Generate random bright color
-function randomBrightColor() {
-    const brightColors = [
-        '#FF5722', '#E91E63', '#9C27B0', '#673AB7',
-        '#3F51B5', '#2196F3', '#00BCD4', '#009688',
-        '#4CAF50', '#8BC34A', '#CDDC39', '#FFEB3B',
-        '#FFC107', '#FF9800', '#FF5722', '#F44336'
-    ];
-    return brightColors[Math.floor(Math.random() * brightColors.length)];
-}
+// All-time leaderboard from persistent profiles
+app.get('/api/leaderboard', (req, res) => {
+    const sort = LEADERBOARD_SORTS.includes(req.query.sort) ? req.query.sort : 'score';
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json(getLeaderboard(sort, limit));
+});
 
-// Validate tank color - reject dark colors that camouflage with background
-function validateTankColor(color) {
-    if (!color || typeof color !== 'string') return randomBrightColor();
+// Map library for the admin panel
+app.get('/api/maps', (req, res) => {
+    res.json(listMaps());
+});
 
-    const brightness = getColorBrightness(color);
-    // Background is ~26 brightness (#1a1a1a), reject colors below 60 brightness
-    if (brightness < 60) {
-        return randomBrightColor();
+// Full layout of one map, for the map editor
+app.get('/api/maps/:id', (req, res) => {
+    try {
+        const map = readMap(req.params.id);
+        if (!map) {
+            return res.status(404).json({ error: 'Map not found' });
+        }
+        res.json(map);
+    } catch (e) {
+        res.status(422).json({ error: e.message });
     }
-    return color;
-}
-
-// Sanitize tank name - trim and limit to 20 characters
-function sanitizeTankName(name) {
-    if (!name || typeof name !== 'string') return 'Unknown';
-    return name.trim().substring(0, 20) || 'Unknown';
-}
-
-function distance(a, b) {
-    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
-}
+});
 
-function checkCollision(obj1, obj2, size1, size2) {
-    return distance(obj1, obj2) < (size1 + size2) / 2;
-}
+// External AI clients with their reply stats and lifetime game stats,
+// for running bot tournaments unattended
+app.get('/api/bots', (req, res) => {
+    res.json(listBots().map(bot => ({ ...bot, stats: getProfileStats(getBotDeviceId(bot.id)) })));
+});
 
-function findSafeSpawnPosition() {
-    let attempts = 0;
-    let pos;
-    do {
-        pos = randomPosition();
-        attempts++;
-        const isSafe = ![...gameState.tanks.values()].some(t =>
-            distance(pos, t) < CONFIG.TANK_SIZE * 3
-        ) && !gameState.obstacles.some(o =>
-            distance(pos, o) < CONFIG.TANK_SIZE * 2
-        );
-        if (isSafe) return pos;
-    } while (attempts < 50);
-    return pos;
-}
+// Recorded matches, newest first
+app.get('/api/recordings', (req, res) => {
+    res.json(listRecordings(getLiveRecordingIds()));
+});
 
-// Tank class
-class Tank {
-    constructor(id, name, primaryColor, secondaryColor, avatarUrl, isBot = false) {
-        const spawnPos = findSafeSpawnPosition();
-        this.id = id;
-        this.name = sanitizeTankName(name);
-        this.primaryColor = validateTankColor(primaryColor) || '#4CAF50';
-        this.secondaryColor = validateTankColor(secondaryColor) || '#2E7D32';
-        this.avatarUrl = avatarUrl || '';
-        this.x = spawnPos.x;
-        this.y = spawnPos.y;
-        this.angle = Math.random() * Math.PI * 2;
-        this.hp = CONFIG.BASE_HEALTH;
-        this.maxHp = CONFIG.BASE_HEALTH;
-        this.speed = CONFIG.BASE_TANK_SPEED;
-        this.damage = CONFIG.BASE_DAMAGE;
-        this.fireRange = CONFIG.BASE_FIRE_RANGE;
-        this.fireRate = CONFIG.BASE_FIRE_RATE;
-        this.lastFire = 0;
-        this.score = 0;
-        this.kills = 0;
-        this.deaths = 0;
-        this.isBot = isBot;
-        this.spawnProtection = true;
-        this.invincible = false;
-        this.powerups = {};
-        this.moving = { up: false, down: false, left: false, right: false };
-
-        setTimeout(() => {
-            this.spawnProtection = false;
-        }, CONFIG.SPAWN_PROTECTION_TIME);
+// Recordings are stored gzipped, so the browser inflates them for us
+app.get('/api/recordings/:id', (req, res) => {
+    const file = getRecordingFile(req.params.id);
+    if (!file || !fs.existsSync(file)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (isRecordingLive(req.params.id)) {
+        return res.status(409).json({ error: 'Recording still in progress' });
     }
+    res.set({ 'Content-Type': 'application/x-ndjson', 'Content-Encoding': 'gzip' });
+    fs.createReadStream(file).pipe(res);
+});
 
-    applyPowerup(type) {
-        const powerup = POWERUP_TYPES[type];
-        if (!powerup) return;
+// Arenas running on this server, keyed by room id
+const rooms = new Map();
+const DEFAULT_ROOM_ID = 'main';
 
-        // Health is instant, no stacking
-        if (type === 'HEALTH') {
-            this.hp = Math.min(this.maxHp, this.hp + powerup.amount);
-            return;
-        }
+// Full state messages, which external AI clients don't get
+const STATE_MESSAGES = ['gameState', 'gameDelta'];
 
-        const now = Date.now();
-        const durationMs = powerup.duration * 1000; // Convert seconds to ms
-        const expiresAt = durationMs > 0 ? now + durationMs : 0; // 0 = never expires
-
-        // Initialize or update powerup stack
-        if (!this.powerups[type] || (this.powerups[type].expiresAt > 0 && now >= this.powerups[type].expiresAt)) {
-            // New powerup or expired - start fresh
-            this.powerups[type] = { stacks: 1, expiresAt: expiresAt };
-        } else if (this.powerups[type].stacks < powerup.maxStacks) {
-            // Add stack if under max
-            this.powerups[type].stacks++;
-            // Refresh duration
-            if (durationMs > 0) {
-                this.powerups[type].expiresAt = expiresAt;
-            }
-        } else {
-            // At max stacks, just refresh duration
-            if (durationMs > 0) {
-                this.powerups[type].expiresAt = expiresAt;
-            }
-        }
+// Ticks a room may run back to back to catch up after a stall
+const MAX_CATCH_UP_TICKS = 10;
 
-        // Handle invincibility specially
-        if (type === 'INVINCIBILITY') {
-            this.invincible = true;
-            this.invincibilityEnd = expiresAt;
-
-            if (durationMs > 0) {
-                setTimeout(() => {
-                    // Check if still the same invincibility period
-                    if (this.invincibilityEnd === expiresAt) {
-                        this.invincible = false;
-                        delete this.powerups[type];
-                    }
-                }, durationMs);
-            }
-        }
+// Room - an arena on this server. The simulation is its GameEngine, the room
+// drives it in real time and relays its events to the clients in the room.
+class Room {
+    constructor(id, name, mode = CONFIG.GAME_MODE, seed, map = null) {
+        this.id = id;
+        this.name = name || id;
+        this.engine = new GameEngine({ mode, seed, map });
+        this.recorder = null; // MatchRecorder while a match is being recorded
+        this.tournamentId = null; // Tournament being played here
+        this.tournamentTimer = null; // Break between tournament matches
+        this.netState = null; // Last broadcast state, deltas are built against it
+        this.lastKeyframeAt = 0;
+        this.createdAt = Date.now();
+        this.timers = [];
+        // Tick duration over the last TICK_STATS_INTERVAL
+        this.tickStats = { avgMs: 0, maxMs: 0, budgetMs: 1000 / CONFIG.TICK_RATE };
+        this.tickWindow = { start: Date.now(), count: 0, total: 0, max: 0 };
+
+        this.engine.on('event', data => broadcast(this, data));
+        this.engine.on('event', data => logMatchEvent(this, data));
+        this.engine.on('stats', updateProfile);
+        this.engine.on('input', (tick, tankId, input) => {
+            if (this.recorder) this.recorder.writeInput(tick, tankId, input);
+        });
+        this.engine.on('matchStart', () => startRecording(this));
+        this.engine.on('matchEnd', () => stopRecording(this));
+        this.engine.on('tournamentMatchEnd', () => finishTournamentMatch(this));
+
+        // External bots are programs by design, they are watched but never flagged
+        this.inputMonitor = new InputMonitor(this.engine, id, tank => !!tank.deviceId && isReservedDeviceId(tank.deviceId));
+        this.inputMonitor.on('flag', flag => handleCheatFlag(this, flag));
     }
 
-    getEffectiveStats() {
-        let speed = CONFIG.BASE_TANK_SPEED;
-        let damage = CONFIG.BASE_DAMAGE;
-        let range = CONFIG.BASE_FIRE_RANGE;
+    start() {
+        this.timers.push(
+            // Game loop
+            setInterval(() => this.tick(), 1000 / CONFIG.TICK_RATE),
+            // Broadcast game state periodically
+            setInterval(() => broadcastGameState(this), 1000 / 30)
+        );
+    }
 
-        const now = Date.now();
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+    }
 
-        // Apply SPEED powerup with stacking
-        const speedPowerup = this.powerups.SPEED;
-        if (speedPowerup && (speedPowerup.expiresAt === 0 || now < speedPowerup.expiresAt)) {
-            // Apply multiplier for each stack
-            for (let i = 0; i < speedPowerup.stacks; i++) {
-                speed *= POWERUP_TYPES.SPEED.multiplier;
-            }
-        } else if (speedPowerup) {
-            delete this.powerups.SPEED; // Cleanup expired
+    // Pick up live config changes. The game loop runs at TICK_RATE, so a new
+    // tick rate restarts it.
+    applyConfig(changed) {
+        this.engine.applyConfig(changed);
+        if (changed.includes('TICK_RATE')) {
+            this.stop();
+            this.start();
         }
+        broadcast(this, {
+            type: 'configUpdated',
+            config: this.getClientConfig(),
+            obstacleTypes: OBSTACLE_TYPES,
+            powerupTypes: POWERUP_TYPES
+        });
+    }
 
-        // Apply POWER powerup with stacking
-        const powerPowerup = this.powerups.POWER;
-        if (powerPowerup && (powerPowerup.expiresAt === 0 || now < powerPowerup.expiresAt)) {
-            for (let i = 0; i < powerPowerup.stacks; i++) {
-                damage *= POWERUP_TYPES.POWER.multiplier;
-            }
-        } else if (powerPowerup) {
-            delete this.powerups.POWER;
+    // setInterval drifts and stalls, so run however many fixed steps are due
+    tick() {
+        let due = this.engine.clock.dueTicks();
+        if (due > MAX_CATCH_UP_TICKS) {
+            // Too far behind to catch up - drop the backlog instead of spiralling
+            this.engine.clock.skip(due - MAX_CATCH_UP_TICKS);
+            due = MAX_CATCH_UP_TICKS;
         }
-
-        // Apply RANGE powerup with stacking
-        const rangePowerup = this.powerups.RANGE;
-        if (rangePowerup && (rangePowerup.expiresAt === 0 || now < rangePowerup.expiresAt)) {
-            for (let i = 0; i < rangePowerup.stacks; i++) {
-                range *= POWERUP_TYPES.RANGE.multiplier;
-            }
-        } else if (rangePowerup) {
-            delete this.powerups.RANGE;
+        for (let i = 0; i < due; i++) {
+            const start = performance.now();
+            this.engine.step();
+            sendBotObservations(this);
+            updateRecording(this);
+            this.recordTickTime(performance.now() - start);
         }
-
-        return { speed, damage, range };
-    }
-
-    resetPowerups() {
-        this.powerups = {};
-        this.speed = CONFIG.BASE_TANK_SPEED;
-        this.damage = CONFIG.BASE_DAMAGE;
-        this.fireRange = CONFIG.BASE_FIRE_RANGE;
-        this.invincible = false;
     }
 
-    respawn() {
-        const spawnPos = findSafeSpawnPosition();
-        this.x = spawnPos.x;
-        this.y = spawnPos.y;
-        this.hp = CONFIG.BASE_HEALTH;
-        this.angle = Math.random() * Math.PI * 2;
-        this.resetPowerups();
-        this.spawnProtection = true;
-        this.deaths++;
-
-        setTimeout(() => {
-            this.spawnProtection = false;
-        }, CONFIG.SPAWN_PROTECTION_TIME);
-    }
-
-    toJSON() {
-        const now = Date.now();
-        // Build active powerups with stack info
-        const activePowerups = {};
-        for (const [type, data] of Object.entries(this.powerups)) {
-            if (data.expiresAt === 0 || now < data.expiresAt) {
-                activePowerups[type] = {
-                    stacks: data.stacks,
-                    expiresAt: data.expiresAt,
-                    maxStacks: POWERUP_TYPES[type]?.maxStacks || 1
-                };
+    recordTickTime(elapsed) {
+        const tickWindow = this.tickWindow;
+        tickWindow.count++;
+        tickWindow.total += elapsed;
+        tickWindow.max = Math.max(tickWindow.max, elapsed);
+        if (Date.now() - tickWindow.start >= CONFIG.TICK_STATS_INTERVAL) {
+            this.tickStats = {
+                avgMs: Math.round(tickWindow.total / tickWindow.count * 1000) / 1000,
+                maxMs: Math.round(tickWindow.max * 1000) / 1000,
+                budgetMs: 1000 / CONFIG.TICK_RATE
+            };
+            if (this.tickStats.avgMs > this.tickStats.budgetMs) {
+                console.warn(`Room ${this.id} is over its tick budget: ${this.tickStats.avgMs}ms average`);
             }
+            this.tickWindow = { start: Date.now(), count: 0, total: 0, max: 0 };
         }
+    }
 
+    toJSON() {
+        const engine = this.engine;
+        const tanks = [...engine.tanks.values()];
         return {
             id: this.id,
             name: this.name,
-            primaryColor: this.primaryColor,
-            secondaryColor: this.secondaryColor,
-            avatarUrl: this.avatarUrl,
-            x: this.x,
-            y: this.y,
-            angle: this.angle,
-            hp: this.hp,
-            maxHp: this.maxHp,
-            score: this.score,
-            kills: this.kills,
-            deaths: this.deaths,
-            isBot: this.isBot,
-            spawnProtection: this.spawnProtection,
-            invincible: this.invincible,
-            invincibilityEnd: this.invincibilityEnd || 0,
-            powerups: activePowerups
+            mode: engine.mode,
+            seed: engine.rng.seed,
+            map: engine.map ? { id: engine.map.id, name: engine.map.name } : null,
+            friendlyFire: engine.friendlyFire,
+            phase: engine.round.phase,
+            players: tanks.filter(t => !t.isBot).length,
+            bots: tanks.filter(t => t.isBot).length,
+            obstacles: engine.obstacles.length,
+            tick: this.tickStats,
+            createdAt: this.createdAt
         };
     }
-}
-
-// Bullet class
-class Bullet {
-    constructor(ownerId, x, y, angle, damage, range) {
-        this.id = uuidv4();
-        this.ownerId = ownerId;
-        this.x = x;
-        this.y = y;
-        this.startX = x;
-        this.startY = y;
-        this.angle = angle;
-        this.damage = damage;
-        this.range = range;
-        this.speed = CONFIG.BULLET_SPEED;
-    }
 
-    update() {
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed;
+    // Clients get the map size of this room in place of the default one
+    getClientConfig() {
+        return { ...CONFIG, MAP_WIDTH: this.engine.width, MAP_HEIGHT: this.engine.height };
     }
+}
 
-    isOutOfRange() {
-        return distance(this, { x: this.startX, y: this.startY }) > this.range;
-    }
+// Room ids are short lowercase slugs so they fit in URLs and ESP32 configs
+function sanitizeRoomId(id) {
+    if (!id || typeof id !== 'string') return '';
+    return id.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 20);
+}
 
-    isOutOfBounds() {
-        return this.x < 0 || this.x > CONFIG.MAP_WIDTH ||
-               this.y < 0 || this.y > CONFIG.MAP_HEIGHT;
-    }
+function createRoom(id, name, mode, seed, map) {
+    const room = new Room(id, name, mode, seed, map);
+    rooms.set(id, room);
+    room.start();
+    console.log(`Room created: ${room.name} (${id})`);
+    return room;
 }
 
-// Obstacle class
-class Obstacle {
-    constructor(type) {
-        const pos = randomPosition();
-        this.id = uuidv4();
-        this.type = type;
-        this.x = pos.x;
-        this.y = pos.y;
-        this.hp = OBSTACLE_TYPES[type].hp;
-        this.maxHp = OBSTACLE_TYPES[type].hp;
-        this.size = type === 'WALL' ? 60 : 40;
-        this.config = OBSTACLE_TYPES[type];
-    }
+function closeRoom(room) {
+    room.stop();
+    // A tournament left running here can be resumed in another room
+    clearTimeout(room.tournamentTimer);
+    stopRecording(room);
+    rooms.delete(room.id);
 
-    takeDamage(damage) {
-        this.hp -= damage;
-        return this.hp <= 0;
-    }
+    wss.clients.forEach(client => {
+        if (client.roomId === room.id) {
+            sendTo(client, { type: 'roomClosed', roomId: room.id });
+            client.close();
+        }
+    });
+    console.log(`Room closed: ${room.name} (${room.id})`);
 }
 
-// Powerup class
-class Powerup {
-    constructor(type, x, y) {
-        this.id = uuidv4();
-        this.type = type;
-        this.x = x || randomPosition().x;
-        this.y = y || randomPosition().y;
-        this.config = POWERUP_TYPES[type];
-        this.size = 25;
+// Look up a map picked by an admin or on the command line. No id means random generation.
+function resolveMap(mapId) {
+    if (!mapId) return { map: null };
+    try {
+        const map = readMap(mapId);
+        return map ? { map } : { error: `Map "${mapId}" not found` };
+    } catch (e) {
+        return { error: e.message };
     }
 }
 
-// Bot AI
-class BotAI {
-    constructor(tank) {
-        this.tank = tank;
-        this.targetId = null;
-        this.lastDecision = 0;
-        this.state = 'roaming';
+// Find the room and tank a device controls, in whichever room it is in
+function findDeviceTank(deviceId) {
+    for (const room of rooms.values()) {
+        for (const tank of room.engine.tanks.values()) {
+            if (tank.deviceId === deviceId && !tank.isBot) {
+                return { room, tank };
+            }
+        }
     }
+    return null;
+}
 
-    update() {
-        const now = Date.now();
-        if (now - this.lastDecision < CONFIG.BOT_REACTION_TIME) return;
-        this.lastDecision = now;
-
-        // Find nearest player tank
-        let nearestPlayer = null;
-        let nearestDist = Infinity;
-
-        gameState.tanks.forEach((tank, id) => {
-            if (tank.isBot || id === this.tank.id) return;
-            const dist = distance(this.tank, tank);
-            if (dist < nearestDist) {
-                nearestDist = dist;
-                nearestPlayer = tank;
-            }
-        });
+// A reconnect takes a tank over. The connection that had it is closed, so it
+// can't keep steering the tank alongside the new one.
+function takeOverTank(tank, ws) {
+    const previous = tank.ws;
+    tank.ws = ws;
+    if (previous && previous !== ws) {
+        previous.playerId = null;
+        previous.close();
+    }
+}
 
-        if (nearestPlayer && nearestDist < 400) {
-            // Attack mode
-            this.state = 'attacking';
-            const angleToPlayer = Math.atan2(
-                nearestPlayer.y - this.tank.y,
-                nearestPlayer.x - this.tank.x
-            );
-            this.tank.angle = angleToPlayer;
-
-            if (nearestDist > 150) {
-                // Move towards player
-                this.tank.moving = { up: true, down: false, left: false, right: false };
-            } else {
-                this.tank.moving = { up: false, down: false, left: false, right: false };
-            }
+// External AI tanks are tracked like devices, one tank per bot
+function getBotDeviceId(botId) {
+    return `bot:${botId}`;
+}
 
-            // Fire at player
-            if (nearestDist < this.tank.fireRange) {
-                fireBullet(this.tank);
-            }
-        } else {
-            // Roaming mode
-            this.state = 'roaming';
-            if (Math.random() < 0.1) {
-                this.tank.angle += (Math.random() - 0.5) * 0.5;
-            }
-            this.tank.moving = { up: Math.random() > 0.3, down: false, left: false, right: false };
+// Players that don't send a device id are known by their name, made to fit
+// the device id pattern since it keys their profile
+function getNameDeviceId(name) {
+    return sanitizeTankName(name).replace(/[^\w.:-]/g, '_');
+}
 
-            // Occasionally fire
-            if (Math.random() < 0.05) {
-                fireBullet(this.tank);
-            }
-        }
+// Controllers can't claim an external bot's device id and take over its tank
+function isReservedDeviceId(deviceId) {
+    return deviceId.startsWith('bot:');
+}
 
-        // Avoid obstacles
-        gameState.obstacles.forEach(obs => {
-            if (distance(this.tank, obs) < 80) {
-                this.tank.angle += Math.PI / 4;
-            }
-        });
+// External AI clients get what their tank can sense after every tick, in
+// place of the full game state
+function sendBotObservations(room) {
+    wss.clients.forEach(client => {
+        if (!client.botId || client.roomId !== room.id) return;
+        const observation = room.engine.getObservation(client.playerId);
+        if (!observation) return;
+        sendTo(client, { type: 'observation', ...observation });
+        recordBotStats(client.botId, { observations: 1 });
+    });
+}
 
-        // Avoid map edges
-        if (this.tank.x < 100) this.tank.angle = 0;
-        if (this.tank.x > CONFIG.MAP_WIDTH - 100) this.tank.angle = Math.PI;
-        if (this.tank.y < 100) this.tank.angle = Math.PI / 2;
-        if (this.tank.y > CONFIG.MAP_HEIGHT - 100) this.tank.angle = -Math.PI / 2;
+// Commands from external AI clients carry the tick of the observation they
+// answer. Answers older than BOT_REPLY_TIMEOUT are dropped, so a slow bot
+// can't act on stale state.
+function acceptBotCommand(ws, room, tick) {
+    const clock = room.engine.clock;
+    const answered = Number.isInteger(tick) && tick <= clock.tick ? tick : clock.tick;
+    const delay = clock.tick - answered;
+    if (delay * clock.tickMs > CONFIG.BOT_REPLY_TIMEOUT) {
+        recordBotStats(ws.botId, { lateReplies: 1 });
+        sendTo(ws, { type: 'lateReply', tick: answered, currentTick: clock.tick });
+        return false;
     }
+    // A tick counts as answered once, however many commands answer it
+    if (answered > ws.lastAnsweredTick) {
+        ws.lastAnsweredTick = answered;
+        recordBotStats(ws.botId, { replies: 1, replyTicks: delay });
+    }
+    return true;
 }
 
-// Fire bullet function
-function fireBullet(tank) {
-    const now = Date.now();
-    if (now - tank.lastFire < tank.fireRate) return null;
-
-    tank.lastFire = now;
-    const stats = tank.getEffectiveStats();
-
-    const bullet = new Bullet(
-        tank.id,
-        tank.x + Math.cos(tank.angle) * (CONFIG.TANK_SIZE / 2 + 5),
-        tank.y + Math.sin(tank.angle) * (CONFIG.TANK_SIZE / 2 + 5),
-        tank.angle,
-        stats.damage,
-        stats.range
-    );
-
-    gameState.bullets.push(bullet);
-    return bullet;
+// Rounds and matches count everyone in the room when they start, so joining
+// only counts when it is into a running timed match. Without timed matches a
+// match is one session in a room.
+function startProfileSession(room, tank) {
+    const engine = room.engine;
+    const joinsMatch = engine.mode !== 'battleRoyale' && !engine.tournament &&
+        (!usesTimedMatches(engine) || engine.match.phase === MATCH_PHASES.ACTIVE);
+    updateProfile(tank, joinsMatch ? { matchesPlayed: 1 } : {});
 }
 
-// Spawn obstacle
-function spawnObstacle() {
-    if (gameState.obstacles.length >= CONFIG.MAX_OBSTACLES) return;
-
-    const types = Object.keys(OBSTACLE_TYPES);
-    const type = types[Math.floor(Math.random() * types.length)];
-    const obstacle = new Obstacle(type);
-
-    // Check for collision with tanks
-    const collides = [...gameState.tanks.values()].some(t =>
-        distance(obstacle, t) < CONFIG.TANK_SIZE * 2
-    );
-
-    if (!collides) {
-        gameState.obstacles.push(obstacle);
-        broadcast({ type: 'obstacleSpawn', obstacle });
+// The game modes only emit events, the log lines for them are written here
+function logMatchEvent(room, data) {
+    const tanks = room.engine.tanks.size;
+    switch (data.type) {
+        case 'matchStart':
+            console.log(`Match ${data.number} in ${room.name} started with ${tanks} tanks`);
+            break;
+        case 'matchEnd':
+            console.log(`Match ${data.number} in ${room.name} ended (${data.reason}), winner: ${data.winner ? data.winner.name : 'none'}`);
+            break;
+        case 'roundStart':
+            console.log(`Battle royale round in ${room.name} started with ${tanks} tanks`);
+            break;
+        case 'roundEnd':
+            console.log(`Battle royale round in ${room.name} ended, winner: ${data.winnerName || 'none'}`);
+            break;
+        case 'tournamentMatchStart':
+            console.log(`Tournament match ${data.label} started: ${data.players.join(' vs ')}`);
+            break;
+        case 'tournamentMatchEnd':
+            console.log(`Tournament match ${data.label} won by ${data.winnerName}${data.forfeit ? ' (forfeit)' : ''}`);
+            break;
     }
 }
 
-// Spawn powerup
-function spawnPowerup(x, y) {
-    if (gameState.powerups.length >= CONFIG.MAX_POWERUPS) return;
+function getLiveRecordingIds() {
+    return [...rooms.values()].filter(room => room.recorder).map(room => room.recorder.id);
+}
 
-    const types = Object.keys(POWERUP_TYPES);
-    const type = types[Math.floor(Math.random() * types.length)];
-    const powerup = new Powerup(type, x, y);
+function isRecordingLive(id) {
+    return getLiveRecordingIds().includes(id);
+}
 
-    gameState.powerups.push(powerup);
-    broadcast({ type: 'powerupSpawn', powerup });
+function startRecording(room) {
+    if (!CONFIG.RECORD_MATCHES) return;
+    stopRecording(room);
+    room.recorder = new MatchRecorder(room);
+    // Replays start from a full snapshot, the same one a spectator gets on join
+    room.recorder.write(JSON.stringify({
+        type: 'spectateJoined',
+        room: room.toJSON(),
+        config: room.getClientConfig(),
+        teams: TEAMS,
+        gameState: room.engine.getSnapshot()
+    }));
+    console.log(`Recording started: ${room.recorder.id}`);
 }
 
-// Explosion effect
-function createExplosion(x, y, radius, damage) {
-    gameState.tanks.forEach((tank) => {
-        if (tank.spawnProtection || tank.invincible) return;
+function stopRecording(room) {
+    const recorder = room.recorder;
+    if (!recorder) return Promise.resolve();
+    room.recorder = null;
+    console.log(`Recording stopped: ${recorder.id} (${recorder.frames} frames)`);
+    return recorder.stop(room.engine).then(() => pruneRecordings(getLiveRecordingIds()));
+}
 
-        const dist = distance({ x, y }, tank);
-        if (dist < radius) {
-            const actualDamage = damage * (1 - dist / radius);
-            tank.hp -= actualDamage;
+// Without timed matches free-play modes have no match boundaries, so record
+// while players are in the room and split long sessions. Battle royale rounds,
+// timed matches and tournament matches are recorded one by one.
+function updateRecording(room) {
+    const engine = room.engine;
+    if (engine.mode === 'battleRoyale' || engine.tournament || usesTimedMatches(engine)) return;
+
+    const hasPlayers = [...room.engine.tanks.values()].some(t => !t.isBot);
+    if (!room.recorder) {
+        if (hasPlayers) startRecording(room);
+    } else if (!hasPlayers || Date.now() - room.recorder.startedAt > CONFIG.RECORDING_MAX_DURATION) {
+        stopRecording(room);
+    }
+}
 
-            if (tank.hp <= 0) {
-                tank.respawn();
-                broadcast({ type: 'tankDeath', tankId: tank.id, killer: null });
+// State is broadcast as a full 'gameState' keyframe every KEYFRAME_INTERVAL and
+// as a 'gameDelta' against the previous broadcast in between
+function broadcastGameState(room) {
+    const now = Date.now();
+    const state = room.engine.getState();
+    const keyframe = { type: 'gameState', ...state };
+
+    if (!room.netState || now - room.lastKeyframeAt >= CONFIG.KEYFRAME_INTERVAL) {
+        room.lastKeyframeAt = now;
+        broadcast(room, keyframe);
+        wss.clients.forEach(client => {
+            if (client.roomId === room.id) client.keyframeRoomId = room.id;
+        });
+        if (room.recorder) room.recorder.hasKeyframe = true;
+    } else {
+        // Sent even when empty - clients tick their HUD timers on it
+        broadcast(room, diffNetState(room.netState, state));
+
+        // Clients that just entered the room have nothing to apply deltas to yet
+        wss.clients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN && !client.isESP32 && !client.botId &&
+                client.roomId === room.id && client.keyframeRoomId !== room.id) {
+                client.keyframeRoomId = room.id;
+                sendTo(client, keyframe);
             }
+        });
+        if (room.recorder && !room.recorder.hasKeyframe) {
+            room.recorder.hasKeyframe = true;
+            room.recorder.write(JSON.stringify(keyframe));
         }
-    });
+    }
 
-    broadcast({ type: 'explosion', x, y, radius });
+    room.netState = state;
 }
 
-// Update game state
-function updateGame() {
-    // Update tanks
-    gameState.tanks.forEach((tank) => {
-        const stats = tank.getEffectiveStats();
+// Broadcast to all clients in a room (except ESP32 controllers which only send commands)
+function broadcast(room, data) {
+    // Encoded once per wire format in use, not once per client
+    const messages = {};
+    const getMessage = encoding => messages[encoding] || (messages[encoding] = encodeMessage(data, encoding));
 
-        let dx = 0, dy = 0;
-        if (tank.moving.up) {
-            dx += Math.cos(tank.angle) * stats.speed;
-            dy += Math.sin(tank.angle) * stats.speed;
-        }
-        if (tank.moving.down) {
-            dx -= Math.cos(tank.angle) * stats.speed;
-            dy -= Math.sin(tank.angle) * stats.speed;
-        }
-        if (tank.moving.left) {
-            tank.angle -= 0.05;
-        }
-        if (tank.moving.right) {
-            tank.angle += 0.05;
+    if (room.recorder) {
+        room.recorder.write(getMessage('json'));
+    }
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && !client.isESP32 && client.roomId === room.id) {
+            // External AI clients only see what their tank senses
+            if (client.botId && STATE_MESSAGES.includes(data.type)) return;
+            client.send(getMessage(client.encoding));
         }
+    });
+}
 
-        // Check wall collisions
-        const newX = Math.max(CONFIG.TANK_SIZE / 2, Math.min(CONFIG.MAP_WIDTH - CONFIG.TANK_SIZE / 2, tank.x + dx));
-        const newY = Math.max(CONFIG.TANK_SIZE / 2, Math.min(CONFIG.MAP_HEIGHT - CONFIG.TANK_SIZE / 2, tank.y + dy));
-
-        // Check obstacle collisions
-        let canMove = true;
-        let barrelToExplode = null;
-        gameState.obstacles.forEach(obs => {
-            if (distance({ x: newX, y: newY }, obs) < (CONFIG.TANK_SIZE + obs.size) / 2) {
-                if (obs.type === 'BARREL') {
-                    barrelToExplode = obs;
-                } else {
-                    canMove = false;
-                }
-            }
-        });
+// The tank a client is playing, if any
+function getClientTank(client) {
+    return client.playerId ? rooms.get(client.roomId)?.engine.tanks.get(client.playerId) : null;
+}
 
-        // Handle barrel collision - tank bumps into it and it explodes
-        if (barrelToExplode) {
-            const obsIndex = gameState.obstacles.indexOf(barrelToExplode);
-            if (obsIndex > -1) {
-                gameState.obstacles.splice(obsIndex, 1);
-                const posBeforeExplosion = { x: tank.x, y: tank.y };
-                createExplosion(barrelToExplode.x, barrelToExplode.y, barrelToExplode.config.explosionRadius, barrelToExplode.config.explosionDamage);
-                broadcast({ type: 'obstacleDestroyed', obstacleId: barrelToExplode.id });
-                // If tank died and respawned, don't overwrite its new position
-                if (tank.x !== posBeforeExplosion.x || tank.y !== posBeforeExplosion.y) {
-                    return; // Tank respawned to new location, skip position update
-                }
-            }
+// Disconnect the players a new ban applies to, in every room
+function enforceBan(ban) {
+    wss.clients.forEach(client => {
+        if (!client.playerId) return;
+        const matches = ban.type === 'device' ? getClientTank(client)?.deviceId === ban.value : client.clientIP === ban.value;
+        if (matches) {
+            sendTo(client, getBanNotice(ban));
+            client.close();
         }
+    });
+}
 
-        if (canMove) {
-            tank.x = newX;
-            tank.y = newY;
+// Disconnect whoever is playing as a device, e.g. after its key changed
+function disconnectDevice(deviceId) {
+    wss.clients.forEach(client => {
+        if (getClientTank(client)?.deviceId === deviceId) {
+            sendTo(client, { type: 'kicked' });
+            client.close();
         }
-
-        // Check powerup collisions
-        gameState.powerups = gameState.powerups.filter(powerup => {
-            if (distance(tank, powerup) < (CONFIG.TANK_SIZE + powerup.size) / 2) {
-                // Handle MYSTERY powerup specially
-                if (powerup.type === 'MYSTERY') {
-                    const mysteryConfig = POWERUP_TYPES.MYSTERY;
-                    if (Math.random() < mysteryConfig.explodeChance) {
-                        // Bad luck - it explodes!
-                        broadcast({ type: 'mysteryExplode', tankId: tank.id, x: powerup.x, y: powerup.y, radius: mysteryConfig.explosionRadius });
-                        createExplosion(powerup.x, powerup.y, mysteryConfig.explosionRadius, mysteryConfig.explosionDamage);
-                    } else {
-                        // Good luck - give a random real powerup
-                        const realPowerups = ['SPEED', 'POWER', 'HEALTH', 'RANGE', 'INVINCIBILITY'];
-                        const randomType = realPowerups[Math.floor(Math.random() * realPowerups.length)];
-                        tank.applyPowerup(randomType);
-                        broadcast({ type: 'powerupCollect', tankId: tank.id, powerupType: randomType, x: powerup.x, y: powerup.y, wasMystery: true });
-                    }
-                } else {
-                    tank.applyPowerup(powerup.type);
-                    broadcast({ type: 'powerupCollect', tankId: tank.id, powerupType: powerup.type, x: powerup.x, y: powerup.y });
-                }
-                return false;
-            }
-            return true;
-        });
     });
+}
 
-    // Update bullets
-    gameState.bullets = gameState.bullets.filter(bullet => {
-        bullet.update();
+// How a tank appears in the audit log
+function describeTank(tank) {
+    return { id: tank.id, name: tank.name, deviceId: tank.deviceId || null };
+}
 
-        if (bullet.isOutOfBounds() || bullet.isOutOfRange()) {
-            return false;
+function kickPlayer(playerId, reason) {
+    wss.clients.forEach(client => {
+        if (client.playerId === playerId) {
+            sendTo(client, { type: 'kicked', reason });
+            client.close();
         }
+    });
+}
 
-        // Check tank collisions
-        let hitTank = false;
-        gameState.tanks.forEach((tank, tankId) => {
-            if (tankId === bullet.ownerId) return;
-            if (tank.spawnProtection || tank.invincible) return;
-
-            if (checkCollision(bullet, tank, CONFIG.BULLET_SIZE, CONFIG.TANK_SIZE)) {
-                tank.hp -= bullet.damage;
-                hitTank = true;
-
-                if (tank.hp <= 0) {
-                    const attacker = gameState.tanks.get(bullet.ownerId);
-                    if (attacker) {
-                        const points = tank.isBot ? 50 : 100;
-                        attacker.score += points;
-                        attacker.kills++;
-                        updateScoreboard();
-                    }
-                    tank.respawn();
-                    broadcast({
-                        type: 'tankDeath',
-                        tankId: tank.id,
-                        killerId: bullet.ownerId,
-                        wasBot: tank.isBot
-                    });
-                }
-            }
-        });
-
-        if (hitTank) return false;
-
-        // Check obstacle collisions
-        for (let i = gameState.obstacles.length - 1; i >= 0; i--) {
-            const obs = gameState.obstacles[i];
-            if (checkCollision(bullet, obs, CONFIG.BULLET_SIZE, obs.size)) {
-                const destroyed = obs.takeDamage(bullet.damage);
-
-                if (destroyed) {
-                    // Award points to shooter
-                    const attacker = gameState.tanks.get(bullet.ownerId);
-                    if (attacker) {
-                        attacker.score += obs.config.points;
-                        updateScoreboard();
-                    }
-
-                    if (obs.config.explosive) {
-                        createExplosion(obs.x, obs.y, obs.config.explosionRadius, obs.config.explosionDamage);
-                    }
+// Anti-cheat flags wait in the admin panel. With auto-kick on, clear
+// violations also cost the player their connection.
+function handleCheatFlag(room, flag) {
+    console.warn(`Anti-cheat: ${flag.name} (${room.id}) flagged for ${flag.type}: ${flag.evidence}`);
+    const tank = room.engine.tanks.get(flag.tankId);
+    if (!flag.clear || !isAutoKickEnabled() || !tank) return;
+    flag.kicked = true;
+    const client = [...wss.clients].find(c => c.playerId === tank.id);
+    logAdminAction({ admin: 'anti-cheat', ip: client ? client.clientIP : null, roomId: room.id, action: 'autoKick', target: describeTank(tank), flag: flag.type, evidence: flag.evidence });
+    kickPlayer(tank.id, `Kicked by anti-cheat: ${flag.evidence}`);
+}
 
-                    if (obs.config.containsPowerup) {
-                        if (Math.random() < 0.7) {
-                            spawnPowerup(obs.x, obs.y);
-                        } else {
-                            // Spawn bomb (explosion)
-                            createExplosion(obs.x, obs.y, 60, 30);
-                        }
-                    }
+// Tournaments - lib/tournaments.js keeps the bracket, the room's engine plays
+// one match of it at a time and holds everyone else out of play
+function runTournament(room, tournament) {
+    room.tournamentId = tournament.id;
+    room.engine.startTournament({ id: tournament.id, name: tournament.name });
+    console.log(`Tournament ${tournament.name} running in ${room.name}`);
+    scheduleTournamentMatch(room);
+}
 
-                    gameState.obstacles.splice(i, 1);
-                    broadcast({ type: 'obstacleDestroyed', obstacleId: obs.id });
-                }
+function scheduleTournamentMatch(room) {
+    room.tournamentTimer = null;
+    const tournament = getTournament(room.tournamentId);
+    const match = takeNextMatch(room.tournamentId);
+    if (match) {
+        room.engine.scheduleTournamentMatch({
+            id: match.id,
+            label: match.label,
+            players: match.players.map(deviceId => ({ deviceId, name: getParticipantName(tournament, deviceId) })),
+            duration: tournament.matchDuration
+        });
+    }
+    broadcastTournament(room);
+}
 
-                return false;
-            }
+// Record the result, then show the bracket for a while before the next match
+// (or the champion before free play resumes)
+function finishTournamentMatch(room) {
+    const match = room.engine.tournament.match;
+    let tournament;
+    try {
+        tournament = recordResult(room.tournamentId, match.id, match);
+    } catch (e) {
+        console.error('Failed to record tournament result:', e);
+        return;
+    }
+    broadcastTournament(room);
+    clearTimeout(room.tournamentTimer);
+    room.tournamentTimer = setTimeout(() => {
+        if (tournament.status === 'running') {
+            scheduleTournamentMatch(room);
+        } else {
+            stopTournament(room);
         }
+    }, CONFIG.TOURNAMENT_BREAK);
+    if (tournament.status === 'finished') {
+        console.log(`Tournament ${tournament.name} won by ${getParticipantName(tournament, tournament.champion)}`);
+    }
+}
 
-        return true;
-    });
+function stopTournament(room) {
+    clearTimeout(room.tournamentTimer);
+    room.tournamentTimer = null;
+    room.tournamentId = null;
+    room.engine.endTournament();
+    broadcastTournament(room);
+}
 
-    // Update bot AI
-    gameState.bots.forEach(bot => bot.update());
+function getRoomBracket(room) {
+    const tournament = getTournament(room.tournamentId);
+    return tournament ? getBracketView(tournament) : null;
 }
 
-// Update scoreboard
-function updateScoreboard() {
-    gameState.scoreboard = [...gameState.tanks.values()]
-        .map(t => ({
-            id: t.id,
-            name: t.name,
-            score: t.score,
-            kills: t.kills,
-            deaths: t.deaths,
-            isBot: t.isBot
-        }))
-        .sort((a, b) => b.score - a.score);
-
-    broadcast({ type: 'scoreboardUpdate', scoreboard: gameState.scoreboard });
+function broadcastTournament(room) {
+    broadcast(room, { type: 'tournamentUpdate', tournament: getRoomBracket(room) });
 }
 
-// Broadcast to all clients (except ESP32 controllers which only send commands)
-function broadcast(data) {
-    const message = JSON.stringify(data);
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && !client.isESP32) {
-            client.send(message);
-        }
-    });
+function findTournamentRoom(tournamentId) {
+    return [...rooms.values()].find(room => room.tournamentId === tournamentId) || null;
+}
+
+// For the admin panel, with whether each one is being played right now
+function getTournamentList() {
+    return listTournaments().map(tournament => ({ ...tournament, live: !!findTournamentRoom(tournament.id) }));
 }
 
 // Send to specific client
 function sendTo(ws, data) {
     if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(data));
+        ws.send(encodeMessage(data, ws.encoding));
     }
 }
 
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
     const clientIP = req.socket.remoteAddress;
+    ws.clientIP = clientIP;
 
-    // Check if banned
-    if (gameState.bannedIPs.has(clientIP)) {
-        sendTo(ws, { type: 'banned' });
-        ws.close();
-        return;
-    }
+    // Registered ESP32 controllers sign this to join, so a join can't be
+    // replayed on another connection
+    ws.challenge = crypto.randomBytes(16).toString('hex');
+    sendTo(ws, { type: 'challenge', nonce: ws.challenge });
+
+    // JSON until the join message asks for another wire format
+    ws.encoding = 'json';
 
     // Heartbeat tracking
     ws.isAlive = true;
@@ -760,26 +632,127 @@ wss.on('connection', (ws, req) => {
     });
 
     let playerId = null;
-    let isAdmin = false;
 
-    ws.on('message', (message) => {
+    // Commands only steer the tank while this is its connection
+    function controlsTank(room) {
+        const tank = room && room.engine.tanks.get(playerId);
+        return !!tank && tank.ws === ws;
+    }
+
+    // Admin session of this connection. It is looked up again for every admin
+    // message, so logging out or expiring takes effect right away.
+    let adminToken = null;
+    const can = permission => hasPermission(getSession(adminToken), permission);
+
+    // Record an admin action in the audit log, under the logged in account
+    function audit(action, details = {}) {
+        const session = getSession(adminToken);
+        logAdminAction({
+            admin: session ? session.username : null,
+            role: session ? session.role : null,
+            ip: clientIP,
+            roomId: ws.roomId || null,
+            action,
+            ...details
+        });
+    }
+
+    // Banned devices and addresses can't join as players and are told why.
+    // Bans are checked on join rather than on connect, so admins and
+    // spectators behind a banned venue address still get in.
+    function rejectBanned(deviceId) {
+        const ban = findBan({ deviceId, ip: clientIP });
+        if (!ban) return false;
+        sendTo(ws, getBanNotice(ban));
+        ws.close();
+        return true;
+    }
+
+    // Registered devices have to sign this connection's challenge with their
+    // key. Others get in unless unregistered devices are refused. Returns why
+    // the device was refused, or null.
+    function checkDeviceAuth(deviceId, signature) {
+        const device = getDevice(deviceId);
+        if (!device) {
+            return requiresRegisteredDevices() ? 'Unknown device, ask an admin to register it' : null;
+        }
+        return verifyDeviceSignature(device, ws.challenge, signature) ? null : 'Device authentication failed';
+    }
+
+    function startAdminSession(session) {
+        adminToken = session.token;
+        // Admins watch the default room until they pick another
+        if (!ws.roomId) {
+            ws.roomId = DEFAULT_ROOM_ID;
+        }
+        sendTo(ws, {
+            type: 'adminLoginSuccess',
+            roomId: ws.roomId,
+            sessionToken: session.token,
+            username: session.username,
+            role: session.role,
+            permissions: getPermissions(session.role)
+        });
+    }
+
+    // Room this connection is playing in, spectating or administering
+    const getRoom = () => rooms.get(ws.roomId);
+
+    // Schema and rate limit checks for everything this connection sends
+    const guard = new MessageGuard();
+
+    // Returns false when the message must not be handled. Connections that
+    // keep sending rejected messages are dropped.
+    function checkMessage(data) {
+        const rejection = guard.check(data);
+        if (!rejection) return true;
+        if (guard.isOffender()) {
+            const tank = getClientTank(ws);
+            recordOffender(guard, { ip: clientIP, roomId: ws.roomId || null, name: tank ? tank.name : null, deviceId: tank ? tank.deviceId : null });
+            console.warn(`Dropping ${clientIP} for too many rejected messages (last: ${guard.lastError})`);
+            ws.close(1008, 'Too many rejected messages');
+        } else if (rejection.reason === 'invalid') {
+            // Rate limited messages are dropped quietly, answering would add to the flood
+            sendTo(ws, { type: 'error', message: rejection.error });
+        }
+        return false;
+    }
+
+    ws.on('message', (message, isBinary) => {
+        // Closing after too many rejected messages takes a moment
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        let data;
         try {
-            const data = JSON.parse(message);
+            data = decodeMessage(message, isBinary);
+        } catch (e) {
+            data = null;
+        }
+        if (!checkMessage(data)) return;
+
+        try {
+            // Join messages pick the wire format for everything sent back
+            if (JOIN_MESSAGES.includes(data.type) && data.encoding) {
+                ws.encoding = WIRE_ENCODINGS.includes(data.encoding) ? data.encoding : 'json';
+            }
 
             switch (data.type) {
                 case 'spectate': {
                     // Spectator mode - view only, no tank created
+                    const room = rooms.get(sanitizeRoomId(data.roomId) || DEFAULT_ROOM_ID);
+                    if (!room) {
+                        sendTo(ws, { type: 'error', message: 'Room not found' });
+                        return;
+                    }
                     ws.isSpectator = true;
+                    ws.roomId = room.id;
                     sendTo(ws, {
                         type: 'spectateJoined',
-                        config: CONFIG,
-                        gameState: {
-                            tanks: [...gameState.tanks.values()].map(t => t.toJSON()),
-                            bullets: gameState.bullets,
-                            obstacles: gameState.obstacles,
-                            powerups: gameState.powerups,
-                            scoreboard: gameState.scoreboard
-                        }
+                        room: room.toJSON(),
+                        config: room.getClientConfig(),
+                        teams: TEAMS,
+                        gameState: room.engine.getSnapshot(),
+                        tournament: getRoomBracket(room)
                     });
                     break;
                 }
@@ -792,201 +765,635 @@ wss.on('connection', (ws, req) => {
                 }
 
                 case 'move': {
-                    const tank = gameState.tanks.get(playerId);
-                    if (tank) {
-                        tank.moving = data.moving;
-                    }
+                    const room = getRoom();
+                    if (!controlsTank(room) || (ws.botId && !acceptBotCommand(ws, room, data.tick))) return;
+                    const { up, down, left, right } = data.moving;
+                    room.engine.applyInput(playerId, { type: 'move', moving: { up: !!up, down: !!down, left: !!left, right: !!right } });
                     break;
                 }
 
                 case 'rotate': {
-                    const tank = gameState.tanks.get(playerId);
-                    if (tank) {
-                        tank.angle = data.angle;
-                    }
+                    const room = getRoom();
+                    if (!controlsTank(room) || (ws.botId && !acceptBotCommand(ws, room, data.tick))) return;
+                    room.engine.applyInput(playerId, { type: 'rotate', angle: data.angle });
                     break;
                 }
 
                 case 'fire': {
-                    const tank = gameState.tanks.get(playerId);
-                    if (tank) {
-                        const bullet = fireBullet(tank);
-                        if (bullet) {
-                            broadcast({ type: 'bulletFired', bullet, ownerId: playerId });
+                    const room = getRoom();
+                    if (!controlsTank(room) || (ws.botId && !acceptBotCommand(ws, room, data.tick))) return;
+                    room.engine.applyInput(playerId, { type: 'fire' });
+                    break;
+                }
+
+                case 'clockSync': {
+                    // Clients estimate the offset to the game clock from the
+                    // round trip, for countdowns and snapshot interpolation
+                    const room = getRoom();
+                    sendTo(ws, { type: 'clockSync', clientTime: data.clientTime, serverTime: room ? room.engine.clock.now() : Date.now() });
+                    break;
+                }
+
+                case 'adminLogin': {
+                    // Pages resume their session after a reload instead of asking again
+                    if (data.sessionToken) {
+                        const session = getSession(data.sessionToken);
+                        if (session) {
+                            startAdminSession(session);
+                        } else {
+                            sendTo(ws, { type: 'adminLoginFailed', message: 'Session expired, please log in again' });
                         }
+                        break;
                     }
+
+                    login(data.username, data.password, clientIP).then(({ session, error, lockedUntil }) => {
+                        if (error) {
+                            console.warn(`Admin login failed: ${data.username} from ${clientIP}`);
+                            logAdminAction({ admin: String(data.username), ip: clientIP, action: 'loginFailed', locked: !!lockedUntil });
+                            sendTo(ws, { type: 'adminLoginFailed', message: error, lockedUntil });
+                            return;
+                        }
+                        console.log(`Admin logged in: ${session.username} (${session.role})`);
+                        startAdminSession(session);
+                        audit('login');
+                    }).catch(e => console.error('Admin login error:', e));
                     break;
                 }
 
-                case 'adminLogin': {
-                    if (data.password === CONFIG.ADMIN_PASSWORD) {
-                        isAdmin = true;
-                        sendTo(ws, { type: 'adminLoginSuccess' });
-                    } else {
-                        sendTo(ws, { type: 'adminLoginFailed' });
+                case 'adminLogout': {
+                    if (getSession(adminToken)) audit('logout');
+                    endSession(adminToken);
+                    adminToken = null;
+                    sendTo(ws, { type: 'adminLoggedOut' });
+                    break;
+                }
+
+                case 'adminListRooms': {
+                    if (!can('panel')) return;
+                    sendTo(ws, {
+                        type: 'roomList',
+                        rooms: [...rooms.values()].map(r => r.toJSON()),
+                        currentRoomId: ws.roomId
+                    });
+                    break;
+                }
+
+                case 'adminSelectRoom': {
+                    if (!can('panel')) return;
+                    const room = rooms.get(data.roomId);
+                    if (room) {
+                        ws.roomId = room.id;
+                        sendTo(ws, { type: 'roomSelected', room: room.toJSON() });
+                    }
+                    break;
+                }
+
+                case 'adminCreateRoom': {
+                    if (!can('operate')) return;
+                    const roomId = sanitizeRoomId(data.roomId || data.name);
+                    if (!roomId || rooms.has(roomId)) {
+                        sendTo(ws, { type: 'error', message: roomId ? `Room "${roomId}" already exists` : 'Invalid room name' });
+                        return;
+                    }
+                    const mode = GAME_MODES.includes(data.mode) ? data.mode : CONFIG.GAME_MODE;
+                    // An explicit seed reproduces a previous room's randomness
+                    const seed = Number.isInteger(data.seed) ? data.seed : undefined;
+                    const { map, error } = resolveMap(data.mapId);
+                    if (error) {
+                        sendTo(ws, { type: 'error', message: error });
+                        return;
+                    }
+                    const room = createRoom(roomId, sanitizeTankName(data.name || roomId), mode, seed, map);
+                    audit('createRoom', { room: room.id, mode, map: map ? map.id : null });
+                    sendTo(ws, { type: 'roomCreated', room: room.toJSON() });
+                    break;
+                }
+
+                case 'adminCloseRoom': {
+                    if (!can('operate')) return;
+                    const room = rooms.get(data.roomId);
+                    if (!room) return;
+                    if (room.id === DEFAULT_ROOM_ID) {
+                        sendTo(ws, { type: 'error', message: 'The main room cannot be closed' });
+                        return;
+                    }
+                    // Keep the admin connected by moving it back to the main room first
+                    if (ws.roomId === room.id) {
+                        ws.roomId = DEFAULT_ROOM_ID;
                     }
+                    closeRoom(room);
+                    audit('closeRoom', { room: room.id });
+                    sendTo(ws, { type: 'roomSelected', room: rooms.get(ws.roomId).toJSON() });
                     break;
                 }
 
                 case 'adminKick': {
-                    if (!isAdmin) return;
-                    const targetTank = gameState.tanks.get(data.targetId);
+                    if (!can('moderate')) return;
+                    const targetTank = getRoom()?.engine.tanks.get(data.targetId);
                     if (targetTank && !targetTank.isBot) {
-                        wss.clients.forEach(client => {
-                            if (client.playerId === data.targetId) {
-                                sendTo(client, { type: 'kicked' });
-                                client.close();
-                            }
-                        });
+                        audit('kick', { target: describeTank(targetTank) });
+                        kickPlayer(targetTank.id);
                     }
                     break;
                 }
 
                 case 'adminBan': {
-                    if (!isAdmin) return;
+                    if (!can('moderate')) return;
+                    const targetTank = getRoom()?.engine.tanks.get(data.targetId);
+                    if (!targetTank || targetTank.isBot) return;
+                    // By device unless asked for the IP (or there is no device)
+                    const type = data.by === 'ip' || !targetTank.deviceId ? 'ip' : 'device';
+                    const targetClient = [...wss.clients].find(client => client.playerId === targetTank.id);
+                    const value = type === 'device' ? targetTank.deviceId : targetClient?.clientIP;
+                    if (!value) {
+                        sendTo(ws, { type: 'error', message: 'Player is not connected, their IP is unknown' });
+                        return;
+                    }
+                    const session = getSession(adminToken);
+                    const ban = addBan({
+                        type,
+                        value,
+                        reason: data.reason,
+                        duration: Number(data.duration) || 0,
+                        bannedBy: session && session.username,
+                        targetName: targetTank.name
+                    });
+                    audit('ban', { target: describeTank(targetTank), banId: ban.id, by: type, value, reason: ban.reason, expiresAt: ban.expiresAt });
+                    enforceBan(ban);
+                    sendTo(ws, { type: 'banList', bans: listBans() });
+                    break;
+                }
+
+                case 'adminListBans': {
+                    if (!can('moderate')) return;
+                    sendTo(ws, { type: 'banList', bans: listBans() });
+                    break;
+                }
+
+                case 'adminUnban': {
+                    if (!can('moderate')) return;
+                    const ban = removeBan(data.banId);
+                    if (ban) {
+                        audit('unban', { target: { name: ban.targetName, deviceId: ban.type === 'device' ? ban.value : null }, banId: ban.id, by: ban.type, value: ban.value });
+                    }
+                    sendTo(ws, { type: 'banList', bans: listBans() });
+                    break;
+                }
+
+                case 'adminCreateBotToken': {
+                    if (!can('operate')) return;
+                    const { bot, token } = createBotToken(sanitizeTankName(data.name));
+                    // The token is only ever sent here, the server keeps a hash
+                    sendTo(ws, { type: 'botTokenCreated', bot, token });
+                    audit('createBotToken', { botId: bot.id, botName: bot.name });
+                    console.log(`Bot token created: ${bot.name} (${bot.id})`);
+                    break;
+                }
+
+                case 'adminListBotTokens': {
+                    if (!can('operate')) return;
+                    sendTo(ws, { type: 'botTokenList', bots: listBots() });
+                    break;
+                }
+
+                case 'adminRevokeBotToken': {
+                    if (!can('operate')) return;
+                    if (!revokeBotToken(data.botId)) return;
+                    audit('revokeBotToken', { botId: data.botId });
                     wss.clients.forEach(client => {
-                        if (client.playerId === data.targetId) {
-                            gameState.bannedIPs.add(client.clientIP);
-                            sendTo(client, { type: 'banned' });
+                        if (client.botId === data.botId) {
+                            sendTo(client, { type: 'kicked' });
                             client.close();
                         }
                     });
+                    sendTo(ws, { type: 'botTokenList', bots: listBots() });
+                    console.log(`Bot token revoked: ${data.botId}`);
+                    break;
+                }
+
+                case 'adminListDevices': {
+                    if (!can('operate')) return;
+                    sendTo(ws, { type: 'deviceList', devices: listDevices(), requireRegistered: requiresRegisteredDevices() });
+                    break;
+                }
+
+                case 'adminRegisterDevice': {
+                    if (!can('operate')) return;
+                    try {
+                        const { device, key } = registerDevice(data.deviceId, sanitizeTankName(data.name || data.deviceId));
+                        // Anyone already playing under that id joined without a key
+                        disconnectDevice(device.deviceId);
+                        // The key is only ever sent here and on rotation
+                        sendTo(ws, { type: 'deviceKey', device, key });
+                        audit('registerDevice', { target: { name: device.name, deviceId: device.deviceId } });
+                    } catch (e) {
+                        sendTo(ws, { type: 'error', message: e.message });
+                    }
+                    break;
+                }
+
+                case 'adminRotateDeviceKey': {
+                    if (!can('operate')) return;
+                    const rotated = rotateDeviceKey(data.deviceId);
+                    if (!rotated) return;
+                    // Whoever joined with the old key is out
+                    disconnectDevice(data.deviceId);
+                    sendTo(ws, { type: 'deviceKey', ...rotated });
+                    audit('rotateDeviceKey', { target: { name: rotated.device.name, deviceId: rotated.device.deviceId } });
+                    break;
+                }
+
+                case 'adminRevokeDevice': {
+                    if (!can('operate')) return;
+                    const device = getDevice(data.deviceId);
+                    if (!device || !revokeDevice(device.deviceId)) return;
+                    disconnectDevice(device.deviceId);
+                    audit('revokeDevice', { target: { name: device.name, deviceId: device.deviceId } });
+                    sendTo(ws, { type: 'deviceList', devices: listDevices(), requireRegistered: requiresRegisteredDevices() });
+                    break;
+                }
+
+                case 'adminSetRequireRegisteredDevices': {
+                    if (!can('operate')) return;
+                    setRequireRegisteredDevices(data.enabled);
+                    audit('setRequireRegisteredDevices', { enabled: requiresRegisteredDevices() });
+                    sendTo(ws, { type: 'deviceList', devices: listDevices(), requireRegistered: requiresRegisteredDevices() });
                     break;
                 }
 
                 case 'adminSpawnBot': {
-                    if (!isAdmin) return;
-                    const botId = uuidv4();
-                    const botTank = new Tank(
-                        botId,
-                        `Bot_${Math.floor(Math.random() * 1000)}`,
-                        data.primaryColor || '#FF5722',
-                        data.secondaryColor || '#E64A19',
-                        '',
-                        true
-                    );
-                    gameState.tanks.set(botId, botTank);
-                    gameState.bots.set(botId, new BotAI(botTank));
-                    broadcast({ type: 'playerJoined', tank: botTank.toJSON() });
-                    updateScoreboard();
+                    if (!can('operate')) return;
+                    const engine = getRoom()?.engine;
+                    if (!engine) return;
+                    const botTank = engine.addBot({
+                        primaryColor: data.primaryColor,
+                        secondaryColor: data.secondaryColor,
+                        team: data.team,
+                        difficulty: data.difficulty
+                    });
+                    audit('spawnBot', { target: describeTank(botTank), difficulty: engine.bots.get(botTank.id).difficulty });
                     break;
                 }
 
                 case 'adminRemoveBot': {
-                    if (!isAdmin) return;
-                    const botTank = gameState.tanks.get(data.botId);
+                    if (!can('operate')) return;
+                    const engine = getRoom()?.engine;
+                    const botTank = engine?.tanks.get(data.botId);
                     if (botTank && botTank.isBot) {
-                        gameState.tanks.delete(data.botId);
-                        gameState.bots.delete(data.botId);
-                        broadcast({ type: 'playerLeft', playerId: data.botId });
-                        updateScoreboard();
+                        audit('removeBot', { target: describeTank(botTank) });
+                        engine.removePlayer(botTank.id);
                     }
                     break;
                 }
 
                 case 'adminResetScoreboard': {
-                    if (!isAdmin) return;
-                    gameState.tanks.forEach(tank => {
-                        tank.score = 0;
-                        tank.kills = 0;
-                        tank.deaths = 0;
+                    if (!can('operate')) return;
+                    const room = getRoom();
+                    if (!room) return;
+                    room.engine.resetScoreboard();
+                    audit('resetScoreboard');
+                    break;
+                }
+
+                case 'adminSetGameMode': {
+                    if (!can('operate')) return;
+                    const room = getRoom();
+                    if (!room) return;
+                    if (room.tournamentId) {
+                        sendTo(ws, { type: 'error', message: 'Tournaments are played as deathmatch, cancel the tournament first' });
+                        return;
+                    }
+                    if (room.engine.setMode(data.mode)) {
+                        audit('setGameMode', { mode: data.mode });
+                        console.log(`Game mode in ${room.name} set to ${data.mode}`);
+                    }
+                    break;
+                }
+
+                case 'adminLoadMap': {
+                    if (!can('operate')) return;
+                    const room = getRoom();
+                    if (!room) return;
+                    const { map, error } = resolveMap(data.mapId);
+                    if (error) {
+                        sendTo(ws, { type: 'error', message: error });
+                        return;
+                    }
+                    room.engine.loadMap(map);
+                    audit('loadMap', { map: map ? map.id : null });
+                    console.log(`Map in ${room.name} set to ${map ? map.name : 'random'}`);
+                    break;
+                }
+
+                case 'adminSaveMap': {
+                    if (!can('operate')) return;
+                    try {
+                        const map = saveMap(data.mapId, data.map);
+                        sendTo(ws, { type: 'mapSaved', map: getMapInfo(map) });
+                        audit('saveMap', { map: map.id });
+                        console.log(`Map saved: ${map.name} (${map.id})`);
+                    } catch (e) {
+                        sendTo(ws, { type: 'error', message: e.message });
+                    }
+                    break;
+                }
+
+                case 'adminSetFriendlyFire': {
+                    if (!can('operate')) return;
+                    const room = getRoom();
+                    if (!room) return;
+                    room.engine.setFriendlyFire(data.enabled);
+                    audit('setFriendlyFire', { enabled: room.engine.friendlyFire });
+                    console.log(`Friendly fire in ${room.name} ${room.engine.friendlyFire ? 'enabled' : 'disabled'}`);
+                    break;
+                }
+
+                case 'adminGetConfig': {
+                    if (!can('operate')) return;
+                    sendTo(ws, { type: 'gameConfig', ...getEditableConfig() });
+                    break;
+                }
+
+                case 'adminUpdateConfig': {
+                    if (!can('operate')) return;
+                    let changed;
+                    try {
+                        changed = updateConfig(data);
+                    } catch (e) {
+                        sendTo(ws, { type: 'error', message: e.message });
+                        return;
+                    }
+                    // Settings are server-wide, every room picks them up
+                    if (changed.length > 0) {
+                        rooms.forEach(room => room.applyConfig(changed));
+                        audit('updateConfig', { changes: { config: data.config, obstacleTypes: data.obstacleTypes, powerupTypes: data.powerupTypes } });
+                        console.log(`Config updated: ${changed.join(', ')}`);
+                    }
+                    sendTo(ws, { type: 'gameConfig', ...getEditableConfig() });
+                    break;
+                }
+
+                case 'adminStartRound': {
+                    if (!can('operate')) return;
+                    if (getRoom()?.engine.startRound()) {
+                        audit('startRound');
+                    }
+                    break;
+                }
+
+                case 'adminListTournaments': {
+                    if (!can('panel')) return;
+                    sendTo(ws, { type: 'tournamentList', tournaments: getTournamentList() });
+                    break;
+                }
+
+                case 'adminCreateTournament': {
+                    if (!can('operate')) return;
+                    try {
+                        const session = getSession(adminToken);
+                        const tournament = createTournament({
+                            name: data.name,
+                            format: data.format,
+                            participants: data.participants,
+                            matchDuration: data.matchDuration,
+                            createdBy: session.username
+                        });
+                        audit('createTournament', { tournament: tournament.id, name: tournament.name, format: tournament.format, participants: tournament.participants.map(p => p.deviceId) });
+                    } catch (e) {
+                        sendTo(ws, { type: 'error', message: e.message });
+                        return;
+                    }
+                    sendTo(ws, { type: 'tournamentList', tournaments: getTournamentList() });
+                    break;
+                }
+
+                case 'adminStartTournament': {
+                    if (!can('operate')) return;
+                    const room = getRoom();
+                    if (!room) return;
+                    const elsewhere = findTournamentRoom(data.tournamentId);
+                    if (room.tournamentId || elsewhere) {
+                        sendTo(ws, { type: 'error', message: elsewhere ? `That tournament is running in ${elsewhere.name}` : 'A tournament is already running in this room' });
+                        return;
+                    }
+                    try {
+                        runTournament(room, startTournament(data.tournamentId, room.id));
+                    } catch (e) {
+                        sendTo(ws, { type: 'error', message: e.message });
+                        return;
+                    }
+                    audit('startTournament', { tournament: data.tournamentId });
+                    sendTo(ws, { type: 'tournamentList', tournaments: getTournamentList() });
+                    break;
+                }
+
+                case 'adminCancelTournament': {
+                    if (!can('operate')) return;
+                    const tournament = cancelTournament(data.tournamentId);
+                    if (!tournament) return;
+                    const room = findTournamentRoom(tournament.id);
+                    if (room) stopTournament(room);
+                    audit('cancelTournament', { tournament: tournament.id, name: tournament.name });
+                    sendTo(ws, { type: 'tournamentList', tournaments: getTournamentList() });
+                    break;
+                }
+
+                case 'adminGetAuditLog': {
+                    if (!can('panel')) return;
+                    sendTo(ws, {
+                        type: 'auditLog',
+                        entries: getAuditLog({
+                            admin: typeof data.admin === 'string' ? data.admin : undefined,
+                            action: typeof data.action === 'string' ? data.action : undefined,
+                            search: data.search,
+                            limit: parseInt(data.limit, 10) || undefined
+                        })
                     });
-                    updateScoreboard();
-                    broadcast({ type: 'scoreboardReset' });
+                    break;
+                }
+
+                case 'adminGetMessageStats': {
+                    if (!can('moderate')) return;
+                    sendTo(ws, { type: 'messageStats', ...getMessageStats() });
+                    break;
+                }
+
+                case 'adminGetCheatFlags': {
+                    if (!can('moderate')) return;
+                    sendTo(ws, { type: 'cheatFlags', flags: getCheatFlags(), autoKick: isAutoKickEnabled() });
+                    break;
+                }
+
+                case 'adminSetAutoKick': {
+                    if (!can('moderate')) return;
+                    setAutoKick(data.enabled);
+                    audit('setAutoKick', { enabled: isAutoKickEnabled() });
+                    sendTo(ws, { type: 'cheatFlags', flags: getCheatFlags(), autoKick: isAutoKickEnabled() });
                     break;
                 }
 
                 case 'adminGetPlayers': {
-                    if (!isAdmin) return;
+                    if (!can('panel')) return;
+                    const room = getRoom();
+                    if (!room) return;
                     sendTo(ws, {
                         type: 'playerList',
-                        players: [...gameState.tanks.values()].map(t => ({
+                        roomId: room.id,
+                        players: [...room.engine.tanks.values()].map(t => ({
                             id: t.id,
                             name: t.name,
                             isBot: t.isBot,
-                            score: t.score
+                            difficulty: t.isBot ? room.engine.bots.get(t.id).difficulty : undefined,
+                            team: t.team,
+                            score: t.score,
+                            inputStats: room.inputMonitor.getStats(t.id)
                         }))
                     });
                     break;
                 }
 
                 case 'simulatorJoin': {
-                    // Simulator join requires admin password verification
-                    if (data.adminPassword !== CONFIG.ADMIN_PASSWORD) {
-                        sendTo(ws, { type: 'error', message: 'Invalid admin password for simulator' });
+                    // Simulator join requires a session from an account allowed to use it
+                    if (!hasPermission(getSession(data.sessionToken), 'simulator')) {
+                        sendTo(ws, { type: 'error', message: 'Log in with a simulator account first' });
+                        return;
+                    }
+
+                    const room = rooms.get(sanitizeRoomId(data.roomId) || DEFAULT_ROOM_ID);
+                    if (!room) {
+                        sendTo(ws, { type: 'error', message: 'Room not found' });
                         return;
                     }
 
                     // Use deviceId if provided, otherwise use name as identifier
-                    const simDeviceId = data.deviceId || sanitizeTankName(data.name);
+                    const simDeviceId = typeof data.deviceId === 'string' && data.deviceId ? data.deviceId : getNameDeviceId(data.name);
+                    if (isReservedDeviceId(simDeviceId) || getDevice(simDeviceId)) {
+                        sendTo(ws, { type: 'error', message: 'That device id belongs to a registered device' });
+                        return;
+                    }
+                    if (rejectBanned(simDeviceId)) return;
 
                     // Check if this simulator already has a tank (reconnecting player)
-                    let existingSimTank = null;
-                    let existingSimId = null;
-                    for (const [id, tank] of gameState.tanks.entries()) {
-                        if (tank.deviceId === simDeviceId && !tank.isBot) {
-                            existingSimTank = tank;
-                            existingSimId = id;
-                            break;
-                        }
+                    const existingSim = findDeviceTank(simDeviceId);
+                    let existingSimTank = existingSim && existingSim.tank;
+                    if (existingSim && existingSim.room !== room) {
+                        // Device switched rooms - drop its tank from the old one
+                        existingSim.room.engine.removePlayer(existingSimTank.id);
+                        existingSimTank = null;
                     }
 
                     if (existingSimTank) {
                         // Reconnect to existing tank
-                        playerId = existingSimId;
-                        existingSimTank.ws = ws; // Update active websocket
+                        playerId = existingSimTank.id;
+                        takeOverTank(existingSimTank, ws);
                         ws.playerId = playerId;
-                        ws.clientIP = clientIP;
+                        ws.roomId = room.id;
 
                         sendTo(ws, {
                             type: 'joined',
                             playerId,
+                            roomId: room.id,
                             tank: existingSimTank.toJSON(),
-                            config: CONFIG,
-                            gameState: {
-                                tanks: [...gameState.tanks.values()].map(t => t.toJSON()),
-                                bullets: gameState.bullets,
-                                obstacles: gameState.obstacles,
-                                powerups: gameState.powerups,
-                                scoreboard: gameState.scoreboard
-                            }
+                            config: room.getClientConfig(),
+                            teams: TEAMS,
+                            gameState: room.engine.getSnapshot()
                         });
 
-                        console.log(`Simulator reconnected: ${existingSimTank.name}`);
+                        console.log(`Simulator reconnected: ${existingSimTank.name} (${room.id})`);
                     } else {
                         // New simulator - create new tank
                         playerId = uuidv4();
-                        const simTank = new Tank(
-                            playerId,
-                            data.name,
-                            data.primaryColor,
-                            data.secondaryColor,
-                            data.avatarUrl
-                        );
-                        simTank.deviceId = simDeviceId; // Store device identifier
+                        const simTank = room.engine.addPlayer({
+                            id: playerId,
+                            name: data.name,
+                            primaryColor: data.primaryColor,
+                            secondaryColor: data.secondaryColor,
+                            avatarUrl: data.avatarUrl,
+                            team: data.team,
+                            deviceId: simDeviceId
+                        });
                         simTank.ws = ws; // Store active websocket
-                        gameState.tanks.set(playerId, simTank);
+                        startProfileSession(room, simTank);
                         ws.playerId = playerId;
-                        ws.clientIP = clientIP;
+                        ws.roomId = room.id;
 
                         sendTo(ws, {
                             type: 'joined',
                             playerId,
+                            roomId: room.id,
                             tank: simTank.toJSON(),
-                            config: CONFIG,
-                            gameState: {
-                                tanks: [...gameState.tanks.values()].map(t => t.toJSON()),
-                                bullets: gameState.bullets,
-                                obstacles: gameState.obstacles,
-                                powerups: gameState.powerups,
-                                scoreboard: gameState.scoreboard
-                            }
+                            config: room.getClientConfig(),
+                            teams: TEAMS,
+                            gameState: room.engine.getSnapshot()
                         });
 
-                        broadcast({ type: 'playerJoined', tank: simTank.toJSON() });
-                        updateScoreboard();
-                        console.log(`Simulator joined: ${data.name}`);
+                        console.log(`Simulator joined: ${data.name} (${room.id})`);
+                    }
+                    break;
+                }
+
+                case 'botJoin': {
+                    // External AI client, authenticated by its API token
+                    const bot = verifyBotToken(data.token);
+                    if (!bot) {
+                        sendTo(ws, { type: 'error', message: 'Invalid bot token' });
+                        return;
+                    }
+
+                    const room = rooms.get(sanitizeRoomId(data.roomId) || DEFAULT_ROOM_ID);
+                    if (!room) {
+                        sendTo(ws, { type: 'error', message: 'Room not found' });
+                        return;
+                    }
+
+                    const deviceId = getBotDeviceId(bot.id);
+                    if (rejectBanned(deviceId)) return;
+                    const existing = findDeviceTank(deviceId);
+                    let botTank = existing && existing.tank;
+                    if (existing && existing.room !== room) {
+                        // Bot switched rooms - drop its tank from the old one
+                        existing.room.engine.removePlayer(botTank.id);
+                        botTank = null;
+                    }
+
+                    const reconnected = !!botTank;
+                    if (reconnected) {
+                        takeOverTank(botTank, ws);
+                    } else {
+                        botTank = room.engine.addPlayer({
+                            id: uuidv4(),
+                            name: bot.name,
+                            primaryColor: data.primaryColor,
+                            secondaryColor: data.secondaryColor,
+                            team: data.team,
+                            deviceId
+                        });
+                        botTank.ws = ws;
+                        startProfileSession(room, botTank);
                     }
+
+                    playerId = botTank.id;
+                    ws.playerId = playerId;
+                    ws.roomId = room.id;
+                    ws.botId = bot.id;
+                    ws.lastAnsweredTick = -1;
+                    recordBotStats(bot.id, { sessions: 1 });
+
+                    // Everything a bot needs to keep in step with the server's ticks
+                    sendTo(ws, {
+                        type: 'botJoined',
+                        playerId,
+                        botId: bot.id,
+                        roomId: room.id,
+                        tick: room.engine.clock.tick,
+                        tickRate: CONFIG.TICK_RATE,
+                        turnRate: CONFIG.TANK_TURN_RATE,
+                        senseRange: CONFIG.BOT_SENSE_RANGE,
+                        replyTimeout: CONFIG.BOT_REPLY_TIMEOUT,
+                        config: room.getClientConfig(),
+                        teams: TEAMS
+                    });
+                    console.log(`External bot ${reconnected ? 'reconnected' : 'joined'}: ${bot.name} (${room.id})`);
                     break;
                 }
 
@@ -994,26 +1401,39 @@ wss.on('connection', (ws, req) => {
                     // ESP32 devices can join directly with their fixed config
                     // They only send commands and don't need game state feedback
 
+                    const room = rooms.get(sanitizeRoomId(data.roomId) || DEFAULT_ROOM_ID);
+                    if (!room) {
+                        sendTo(ws, { type: 'error', message: 'Room not found' });
+                        return;
+                    }
+
                     // Use deviceId if provided, otherwise use name as identifier
-                    const deviceId = data.deviceId || sanitizeTankName(data.name);
+                    const deviceId = typeof data.deviceId === 'string' && data.deviceId ? data.deviceId : getNameDeviceId(data.name);
+                    const authError = isReservedDeviceId(deviceId) ? 'Invalid device id' : checkDeviceAuth(deviceId, data.signature);
+                    if (authError) {
+                        console.warn(`ESP32 join refused: ${deviceId} from ${clientIP} (${authError})`);
+                        sendTo(ws, { type: 'error', message: authError });
+                        ws.close();
+                        return;
+                    }
+                    if (rejectBanned(deviceId)) return;
+                    recordDeviceSeen(deviceId);
 
                     // Check if this device already has a tank (reconnecting player)
-                    let existingTank = null;
-                    let existingId = null;
-                    for (const [id, tank] of gameState.tanks.entries()) {
-                        if (tank.deviceId === deviceId && !tank.isBot) {
-                            existingTank = tank;
-                            existingId = id;
-                            break;
-                        }
+                    const existing = findDeviceTank(deviceId);
+                    let existingTank = existing && existing.tank;
+                    if (existing && existing.room !== room) {
+                        // Device switched rooms - drop its tank from the old one
+                        existing.room.engine.removePlayer(existingTank.id);
+                        existingTank = null;
                     }
 
                     if (existingTank) {
                         // Reconnect to existing tank
-                        playerId = existingId;
-                        existingTank.ws = ws; // Update active websocket
+                        playerId = existingTank.id;
+                        takeOverTank(existingTank, ws);
                         ws.playerId = playerId;
-                        ws.clientIP = clientIP;
+                        ws.roomId = room.id;
                         ws.isESP32 = true;
 
                         // Send minimal response to ESP32
@@ -1022,22 +1442,23 @@ wss.on('connection', (ws, req) => {
                             playerId
                         });
 
-                        console.log(`ESP32 device reconnected: ${existingTank.name}`);
+                        console.log(`ESP32 device reconnected: ${existingTank.name} (${room.id})`);
                     } else {
                         // New device - create new tank
                         playerId = uuidv4();
-                        const espTank = new Tank(
-                            playerId,
-                            data.name,
-                            data.primaryColor,
-                            data.secondaryColor,
-                            data.avatarUrl
-                        );
-                        espTank.deviceId = deviceId; // Store device identifier
+                        const espTank = room.engine.addPlayer({
+                            id: playerId,
+                            name: data.name,
+                            primaryColor: data.primaryColor,
+                            secondaryColor: data.secondaryColor,
+                            avatarUrl: data.avatarUrl,
+                            team: data.team,
+                            deviceId
+                        });
                         espTank.ws = ws; // Store active websocket
-                        gameState.tanks.set(playerId, espTank);
+                        startProfileSession(room, espTank);
                         ws.playerId = playerId;
-                        ws.clientIP = clientIP;
+                        ws.roomId = room.id;
                         ws.isESP32 = true;
 
                         // Send minimal response to ESP32
@@ -1046,9 +1467,7 @@ wss.on('connection', (ws, req) => {
                             playerId
                         });
 
-                        broadcast({ type: 'playerJoined', tank: espTank.toJSON() });
-                        updateScoreboard();
-                        console.log(`ESP32 device joined: ${data.name}`);
+                        console.log(`ESP32 device joined: ${data.name} (${room.id})`);
                     }
                     break;
                 }
@@ -1060,38 +1479,20 @@ wss.on('connection', (ws, req) => {
 
     ws.on('close', () => {
         if (playerId) {
-            const tank = gameState.tanks.get(playerId);
+            const room = getRoom();
+            const tank = room?.engine.tanks.get(playerId);
             // Only delete if this websocket is still the active one for the tank
             // (prevents deleting tank when old connection closes after reconnect)
             if (tank && !tank.isBot && tank.ws === ws) {
-                gameState.tanks.delete(playerId);
-                broadcast({ type: 'playerLeft', playerId });
-                updateScoreboard();
+                room.engine.removePlayer(tank.id);
                 console.log(`Player disconnected and removed: ${tank.name}`);
             }
         }
     });
 });
 
-// Game loop
-setInterval(updateGame, 1000 / CONFIG.TICK_RATE);
-
-// Broadcast game state periodically
-setInterval(() => {
-    broadcast({
-        type: 'gameState',
-        tanks: [...gameState.tanks.values()].map(t => t.toJSON()),
-        bullets: gameState.bullets,
-        obstacles: gameState.obstacles,
-        powerups: gameState.powerups
-    });
-}, 1000 / 30);
-
-// Spawn obstacles periodically
-setInterval(spawnObstacle, CONFIG.OBSTACLE_SPAWN_INTERVAL);
-
-// Spawn powerups periodically
-setInterval(() => spawnPowerup(), CONFIG.POWERUP_SPAWN_INTERVAL);
+// Default arena, always available. Start with --map <id> to give it an authored map.
+createRoom(DEFAULT_ROOM_ID, 'Main Arena', undefined, undefined, getStartupMap());
 
 // Heartbeat - detect and remove disconnected clients (unplugged ESP32, etc.)
 setInterval(() => {
@@ -1111,30 +1512,53 @@ setInterval(() => {
     });
 }, CONFIG.HEARTBEAT_INTERVAL);
 
-// Parse command line arguments
-function getPortFromArgs() {
+// Forget expired admin sessions and lockouts
+setInterval(pruneAdminAuth, 60000);
+
+// Save pending profile changes and finish open recordings before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        flushProfiles();
+        flushBots();
+        const pending = [...rooms.values()].map(room => stopRecording(room));
+        Promise.all(pending).then(() => process.exit(0));
+        setTimeout(() => process.exit(0), 3000);
+    });
+});
+
+// Parse command line arguments, e.g. "--port 3000" or "--port=3000"
+function getArg(name, alias) {
     const args = process.argv.slice(2);
     for (let i = 0; i < args.length; i++) {
-        if (args[i] === '--port' || args[i] === '-p') {
-            const port = parseInt(args[i + 1], 10);
-            if (!isNaN(port) && port > 0 && port < 65536) {
-                return port;
-            }
+        if (args[i] === `--${name}` || (alias && args[i] === `-${alias}`)) {
+            return args[i + 1];
         }
-        if (args[i].startsWith('--port=')) {
-            const port = parseInt(args[i].split('=')[1], 10);
-            if (!isNaN(port) && port > 0 && port < 65536) {
-                return port;
-            }
+        if (args[i].startsWith(`--${name}=`)) {
+            return args[i].split('=')[1];
         }
     }
     return null;
 }
 
+function getPortFromArgs() {
+    const port = parseInt(getArg('port', 'p'), 10);
+    return !isNaN(port) && port > 0 && port < 65536 ? port : null;
+}
+
+function getStartupMap() {
+    const { map, error } = resolveMap(getArg('map') || process.env.MAP);
+    if (error) {
+        console.error(`${error}, using random generation`);
+    }
+    return map || null;
+}
+
 const PORT = getPortFromArgs() || process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`Tank 1990 server running on port ${PORT}`);
     console.log(`Game: http://localhost:${PORT}`);
     console.log(`Admin Panel: http://localhost:${PORT}/admin.html`);
-    console.log(`Admin Password: ${CONFIG.ADMIN_PASSWORD}`);
+    if (!hasAdminAccounts()) {
+        console.warn('No admin accounts yet, add one with: node scripts/add-admin.js <username> operator');
+    }
 });
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine } = require('../game');
+const { InputMonitor } = require('../lib/anti-cheat');
+
+const STOPPED = { up: false, down: false, left: false, right: false };
+
+function setup() {
+    const engine = new GameEngine({ seed: 7, startTime: 0 });
+    const monitor = new InputMonitor(engine, 'main');
+    const flags = [];
+    monitor.on('flag', flag => flags.push(flag.type));
+    const tank = engine.addPlayer({ name: 'Alpha', primaryColor: '#2196F3', secondaryColor: '#1976D2' });
+    engine.step();
+    return { engine, monitor, flags, tank };
+}
+
+// Runs ticks steps, send(tick) queues the inputs of each one
+function play(engine, ticks, send) {
+    for (let tick = 0; tick < ticks; tick++) {
+        send(tick);
+        engine.step();
+    }
+}
+
+test('held keys resent by the OS are not flagged', () => {
+    const { engine, monitor, flags, tank } = setup();
+    // Key repeat sends the same move and fire every other tick
+    play(engine, 1200, tick => {
+        if (tick % 2) return;
+        engine.applyInput(tank.id, { type: 'move', moving: { ...STOPPED, up: true } });
+        engine.applyInput(tank.id, { type: 'fire' });
+    });
+    assert.deepStrictEqual(flags, []);
+    assert.ok(monitor.getStats(tank.id).peakInputRate < 10);
+});
+
+test('aim that snaps faster than a tank turns is flagged', () => {
+    const { engine, flags, tank } = setup();
+    play(engine, 300, tick => {
+        if (tick % 20 === 0) engine.applyInput(tank.id, { type: 'rotate', angle: tick % 40 ? 0 : Math.PI });
+    });
+    assert.ok(flags.includes('aimSnap'));
+});
+
+test('shots on a perfectly regular beat are flagged', () => {
+    const { engine, flags, tank } = setup();
+    play(engine, 1200, tick => {
+        if (tick % 37 === 0) engine.applyInput(tank.id, { type: 'fire' });
+    });
+    assert.ok(flags.includes('fireMacro'));
+});
+
+test('ignored tanks are watched but never flagged', () => {
+    const engine = new GameEngine({ seed: 7, startTime: 0 });
+    const monitor = new InputMonitor(engine, 'main', () => true);
+    const flags = [];
+    monitor.on('flag', flag => flags.push(flag.type));
+    const tank = engine.addPlayer({ name: 'Bot', primaryColor: '#2196F3', secondaryColor: '#1976D2' });
+    engine.step();
+    play(engine, 300, tick => engine.applyInput(tank.id, { type: 'rotate', angle: tick % 2 ? 0 : Math.PI }));
+    assert.deepStrictEqual(flags, []);
+    assert.ok(monitor.getStats(tank.id).rotates > 0);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine, Obstacle, Powerup, CONFIG, POWERUP_TYPES, OBSTACLE_TYPES } = require('../game');
+const { addObstacle, removeObstacle, addPowerup, removePowerup } = require('../game/world');
+
+// A scripted match: two players driving, aiming and firing on fixed ticks
+// against a couple of bots
+function playMatch(seed, ticks) {
+    const engine = new GameEngine({ seed, startTime: 0 });
+    // Alpha joins without colours, like old firmware sending colour names
+    const players = [engine.addPlayer({ name: 'Alpha' }), engine.addPlayer({ name: 'Bravo', primaryColor: '#E91E63' })];
+    engine.addBot();
+    engine.addBot();
+
+    for (let tick = 0; tick < ticks; tick++) {
+        players.forEach((tank, i) => {
+            if (tick % 40 === i * 10) {
+                engine.applyInput(tank.id, { type: 'move', moving: { up: tick % 80 < 40, down: false, left: false, right: false } });
+            }
+            if (tick % 25 === i) engine.applyInput(tank.id, { type: 'rotate', angle: tick / 50 + i });
+            if (tick % 15 === i) engine.applyInput(tank.id, { type: 'fire' });
+        });
+        engine.step();
+    }
+    return engine.getState();
+}
+
+// An empty arena with nothing spawning and one tank at each of positions,
+// standing still and past its spawn protection
+function setupArena(positions, mode) {
+    const engine = new GameEngine({ seed: 1, startTime: 0, mode });
+    const tanks = positions.map(() => engine.addPlayer({}));
+    engine.step();
+    engine.obstacles.slice().forEach(obstacle => removeObstacle(engine, obstacle));
+    engine.powerups.slice().forEach(powerup => removePowerup(engine, powerup));
+    engine.nextObstacleAt = Infinity;
+    engine.nextPowerupAt = Infinity;
+    tanks.forEach((tank, i) => placeTank(tank, positions[i]));
+
+    const events = [];
+    engine.on('event', event => events.push(event));
+    return { engine, tanks, events };
+}
+
+function placeTank(tank, { x, y, angle = 0 }) {
+    Object.assign(tank, { x, y, angle, spawnProtection: false });
+}
+
+function placeObstacle(engine, type, x, y) {
+    const obstacle = new Obstacle(engine, type);
+    Object.assign(obstacle, { x, y });
+    addObstacle(engine, obstacle);
+    return obstacle;
+}
+
+// Fires every tick until done() or the time runs out
+function fireUntil(engine, tank, done, ticks = 1200) {
+    for (let i = 0; i < ticks && !done(); i++) {
+        engine.applyInput(tank.id, { type: 'fire' });
+        engine.step();
+    }
+    assert.ok(done(), 'gave up waiting');
+}
+
+test('the same seed and inputs give the same game', () => {
+    assert.deepStrictEqual(playMatch(42, 1200), playMatch(42, 1200));
+});
+
+test('another seed gives another game', () => {
+    assert.notDeepStrictEqual(playMatch(42, 300), playMatch(43, 300));
+});
+
+test('rotate inputs are turned at the tank turn rate and wrapped into range', () => {
+    const { engine, tanks: [tank] } = setupArena([{ x: 400, y: 400 }]);
+    engine.applyInput(tank.id, { type: 'rotate', angle: 4 * Math.PI + 0.5 });
+    engine.step();
+    assert.ok(Math.abs(tank.targetAngle - 0.5) < 1e-9);
+    assert.ok(Math.abs(tank.angle - CONFIG.TANK_TURN_RATE) < 1e-9);
+    for (let i = 0; i < 20; i++) engine.step();
+    assert.ok(Math.abs(tank.angle - 0.5) < 1e-9);
+    assert.strictEqual(tank.targetAngle, null);
+});
+
+test('powerups stack up to their limit', () => {
+    const { engine, tanks: [tank], events } = setupArena([{ x: 400, y: 400 }]);
+    const { maxStacks, multiplier } = POWERUP_TYPES.SPEED;
+    for (let i = 0; i < maxStacks + 2; i++) {
+        addPowerup(engine, new Powerup(engine, 'SPEED', tank.x, tank.y));
+        engine.step();
+    }
+    assert.strictEqual(events.filter(event => event.type === 'powerupCollect').length, maxStacks + 2);
+    assert.strictEqual(tank.powerups.SPEED.stacks, maxStacks);
+    assert.ok(Math.abs(tank.getEffectiveStats().speed - CONFIG.BASE_TANK_SPEED * multiplier ** maxStacks) < 1e-9);
+});
+
+test('picking up a timed powerup again restarts its time instead of adding to it', () => {
+    const { engine, tanks: [tank] } = setupArena([{ x: 400, y: 400 }]);
+    const duration = POWERUP_TYPES.INVINCIBILITY.duration * 1000;
+    addPowerup(engine, new Powerup(engine, 'INVINCIBILITY', tank.x, tank.y));
+    engine.step();
+    for (let i = 0; i < 60; i++) engine.step();
+
+    // The tick's game time is the time before the clock moves on
+    const pickedUpAt = engine.clock.now();
+    addPowerup(engine, new Powerup(engine, 'INVINCIBILITY', tank.x, tank.y));
+    engine.step();
+    assert.strictEqual(tank.powerups.INVINCIBILITY.stacks, 1);
+    assert.strictEqual(tank.powerups.INVINCIBILITY.expiresAt, pickedUpAt + duration);
+
+    while (engine.clock.now() <= pickedUpAt + duration) engine.step();
+    assert.strictEqual(tank.invincible, false);
+    assert.strictEqual(tank.powerups.INVINCIBILITY, undefined);
+});
+
+test('a shot barrel explodes and damages the tanks around it', () => {
+    const { engine, tanks: [shooter, near, far], events } = setupArena([
+        { x: 200, y: 500 }, { x: 600, y: 600 }, { x: 600, y: 800 }
+    ]);
+    const barrel = placeObstacle(engine, 'BARREL', 600, 500);
+    const { explosionRadius, explosionDamage, points } = OBSTACLE_TYPES.BARREL;
+
+    fireUntil(engine, shooter, () => !engine.obstacles.includes(barrel));
+    assert.ok(events.some(event => event.type === 'explosion' && event.radius === explosionRadius));
+    // Damage falls off with the distance from the barrel
+    assert.ok(Math.abs(near.hp - (CONFIG.BASE_HEALTH - explosionDamage * (1 - 100 / explosionRadius))) < 1e-9);
+    assert.strictEqual(far.hp, CONFIG.BASE_HEALTH);
+    assert.strictEqual(shooter.score, points);
+});
+
+test('a kill scores for the killer and respawns the victim', () => {
+    const { engine, tanks: [shooter, target], events } = setupArena([{ x: 200, y: 500 }, { x: 500, y: 500 }]);
+    fireUntil(engine, shooter, () => target.deaths > 0);
+
+    assert.strictEqual(shooter.kills, 1);
+    assert.strictEqual(shooter.score, 100);
+    assert.strictEqual(target.hp, CONFIG.BASE_HEALTH);
+    assert.ok(events.some(event => event.type === 'tankDeath' && event.tankId === target.id && event.killerId === shooter.id));
+    assert.deepStrictEqual(engine.scoreboard.map(entry => entry.id), [shooter.id, target.id]);
+});
+
+test('the last life lost in a battle royale round eliminates the tank and ends the round', () => {
+    const { engine, tanks: [shooter, target], events } = setupArena([{ x: 200, y: 500 }, { x: 500, y: 500 }], 'battleRoyale');
+    assert.ok(engine.startRound());
+    placeTank(shooter, { x: 200, y: 500 });
+    placeTank(target, { x: 500, y: 500 });
+    target.lives = 1;
+
+    fireUntil(engine, shooter, () => target.eliminated);
+    assert.ok(events.some(event => event.type === 'tankEliminated' && event.tankId === target.id && event.killerId === shooter.id));
+    engine.step();
+    assert.ok(events.some(event => event.type === 'roundEnd' && event.winnerId === shooter.id));
+    assert.strictEqual(shooter.roundWins, 1);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../game/config');
+const { validateMessage, MessageGuard } = require('../lib/message-guard');
+
+test('well-formed messages pass', () => {
+    assert.strictEqual(validateMessage({ type: 'move', moving: { up: true, left: false } }), null);
+    assert.strictEqual(validateMessage({ type: 'fire', tick: 12 }), null);
+    assert.strictEqual(validateMessage({ type: 'esp32Join', name: 'Tank', deviceId: 'esp-1', primaryColor: '#f00' }), null);
+});
+
+test('malformed and unknown messages are refused', () => {
+    assert.strictEqual(validateMessage(null), 'Malformed message');
+    assert.strictEqual(validateMessage([{ type: 'fire' }]), 'Malformed message');
+    assert.strictEqual(validateMessage({ type: 'selfDestruct' }), 'Unknown message type');
+    assert.strictEqual(validateMessage({ type: 'constructor' }), 'Unknown message type');
+});
+
+test('fields are checked against the schema', () => {
+    assert.strictEqual(validateMessage({ type: 'move' }), 'moving is required');
+    assert.strictEqual(validateMessage({ type: 'move', moving: { up: 'yes' } }), 'moving.up must be true or false');
+    assert.strictEqual(validateMessage({ type: 'fire', tick: 1.5 }), 'tick must be a whole number');
+    assert.strictEqual(validateMessage({ type: 'esp32Join', name: 'x'.repeat(101) }), 'name is longer than 100 characters');
+    assert.strictEqual(validateMessage({ type: 'adminBan', targetId: 'player1', by: 'name' }), 'by must be one of device, ip');
+    assert.strictEqual(validateMessage({ type: 'adminCreateTournament', format: 'swiss', participants: [] }),
+        'format must be one of single, double');
+    assert.strictEqual(validateMessage({ type: 'adminCreateTournament', format: 'single', participants: [{ name: 'A' }] }),
+        'participants[0].deviceId is required');
+});
+
+test('rotate takes any finite angle', () => {
+    assert.strictEqual(validateMessage({ type: 'rotate', angle: 4 * Math.PI + 0.5 }), null);
+    assert.strictEqual(validateMessage({ type: 'rotate', angle: -7 }), null);
+    assert.strictEqual(validateMessage({ type: 'rotate', angle: Infinity }), 'angle must be a number');
+    assert.strictEqual(validateMessage({ type: 'rotate', angle: NaN }), 'angle must be a number');
+});
+
+test('a bad colour is dropped instead of refusing the join', () => {
+    const message = { type: 'esp32Join', name: 'Tank', primaryColor: 'red', secondaryColor: '#00ff00' };
+    assert.strictEqual(validateMessage(message), null);
+    assert.ok(!Object.hasOwn(message, 'primaryColor'));
+    assert.strictEqual(message.secondaryColor, '#00ff00');
+});
+
+test('a bad colour from an admin is an error', () => {
+    assert.strictEqual(validateMessage({ type: 'adminSpawnBot', primaryColor: 'red' }), 'primaryColor is not valid');
+    assert.strictEqual(validateMessage({ type: 'adminSpawnBot', primaryColor: '#f00' }), null);
+});
+
+test('connections over the rate limit are refused and end up as offenders', () => {
+    const guard = new MessageGuard();
+    const { burst } = CONFIG.MESSAGE_RATE_LIMITS.join;
+    for (let i = 0; i < burst; i++) {
+        assert.strictEqual(guard.check({ type: 'esp32Join', name: 'Tank' }), null);
+    }
+    assert.strictEqual(guard.check({ type: 'esp32Join', name: 'Tank' }).reason, 'rateLimited');
+
+    for (let i = 0; i < CONFIG.MESSAGE_VIOLATION_LIMIT; i++) {
+        assert.strictEqual(guard.check({ type: 'fire', tick: -1 }).reason, 'invalid');
+    }
+    assert.ok(guard.isOffender());
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine } = require('../game');
+const { diffNetState } = require('../lib/protocol');
+
+test('bullets are only in deltas when they are fired or removed', () => {
+    const engine = new GameEngine({ seed: 5, startTime: 0 });
+    const tank = engine.addPlayer({ name: 'Alpha' });
+    engine.addBot();
+    engine.addBot();
+
+    let prev = engine.getState();
+    let fired = 0;
+    for (let tick = 0; tick < 1200; tick++) {
+        if (tick % 7 === 0) engine.applyInput(tank.id, { type: 'fire' });
+        engine.step();
+        const state = engine.getState();
+        const delta = diffNetState(prev, state);
+        if (delta.bullets) {
+            assert.strictEqual(delta.bullets.changed, undefined);
+            fired += (delta.bullets.added || []).length;
+        }
+        prev = state;
+    }
+    assert.ok(fired > 0);
+});
+
+test('bullets can be placed from where and when they were fired', () => {
+    const engine = new GameEngine({ seed: 5, startTime: 0 });
+    const tank = engine.addPlayer({ name: 'Alpha' });
+    engine.addBot();
+    engine.addBot();
+
+    for (let tick = 0; tick < 600; tick++) {
+        if (tick % 7 === 0) engine.applyInput(tank.id, { type: 'fire' });
+        engine.step();
+        const time = engine.clock.now();
+        engine.bullets.forEach(bullet => {
+            const flown = bullet.speed * (time - bullet.firedAt) / engine.clock.tickMs;
+            const x = bullet.startX + Math.cos(bullet.angle) * flown;
+            const y = bullet.startY + Math.sin(bullet.angle) * flown;
+            // Game times are whole ms, a fraction of a tick off at most
+            assert.ok(Math.hypot(x - bullet.x, y - bullet.y) < bullet.speed / 2);
+        });
+    }
+});
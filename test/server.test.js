@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const WebSocket = require('ws');
+
+// A server of its own on a free port, with its data in a temp directory
+let server;
+let url;
+let dataDir;
+
+function getFreePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+test.before(async () => {
+    const port = await getFreePort();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tank-server-'));
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    url = `ws://localhost:${port}`;
+    let output = '';
+    await new Promise(resolve => server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('server running')) resolve();
+    }));
+});
+
+test.after(async () => {
+    server.kill();
+    await once(server, 'exit');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function receive(ws) {
+    const [data] = await once(ws, 'message');
+    return JSON.parse(data);
+}
+
+// Opens a connection and sends message once the server has sent its join
+// challenge, resolves with the socket and the reply
+async function join(message) {
+    const ws = new WebSocket(url);
+    assert.strictEqual((await receive(ws)).type, 'challenge');
+    ws.send(JSON.stringify(message));
+    return { ws, reply: await receive(ws) };
+}
+
+test('a second join with the same device id cuts off the first connection', async () => {
+    const message = { type: 'esp32Join', name: 'Tank', deviceId: 'esp-test-1' };
+    const first = await join(message);
+    assert.strictEqual(first.reply.type, 'joined');
+    const closed = once(first.ws, 'close');
+
+    const second = await join(message);
+    assert.strictEqual(second.reply.type, 'joined');
+    assert.strictEqual(second.reply.playerId, first.reply.playerId);
+    await closed;
+
+    // The tank stays with the new connection
+    assert.strictEqual(second.ws.readyState, WebSocket.OPEN);
+    second.ws.close();
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tournaments are saved as they change, keep them out of the real data
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tank-tournaments-'));
+const { createTournament, startTournament, takeNextMatch, recordResult, getBracketView } = require('../lib/tournaments');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function entrants(count) {
+    return Array.from({ length: count }, (_, i) => ({ deviceId: `seed-${i + 1}`, name: `Seed ${i + 1}` }));
+}
+
+// Play every match in order, pick(match) names the winner. Returns the
+// matches in the order they were played.
+function playOut(tournament, pick) {
+    startTournament(tournament.id, 'main');
+    const played = [];
+    let match;
+    while ((match = takeNextMatch(tournament.id))) {
+        played.push(match.id);
+        recordResult(tournament.id, match.id, { winner: pick(match) });
+    }
+    return played;
+}
+
+const higherSeed = match => [...match.players].sort()[0];
+
+test('top seeds only meet late', () => {
+    const tournament = createTournament({ name: 'Cup', format: 'single', participants: entrants(8) });
+    const firstRound = tournament.matches.filter(match => match.round === 1).map(match => match.players);
+    assert.deepStrictEqual(firstRound, [
+        ['seed-1', 'seed-8'], ['seed-4', 'seed-5'], ['seed-2', 'seed-7'], ['seed-3', 'seed-6']
+    ]);
+});
+
+test('missing seeds are byes for the top seeds', () => {
+    const tournament = createTournament({ name: 'Cup', format: 'single', participants: entrants(5) });
+    const byes = tournament.matches.filter(match => match.bye).map(match => match.winner);
+    assert.deepStrictEqual(byes.sort(), ['seed-1', 'seed-2', 'seed-3']);
+    assert.ok(getBracketView(tournament).matches.every(match => !match.players.includes(false)));
+
+    const played = playOut(tournament, higherSeed);
+    assert.strictEqual(played.length, 4);
+    assert.strictEqual(tournament.status, 'finished');
+    assert.strictEqual(tournament.champion, 'seed-1');
+});
+
+test('a double elimination final is reset when the winners bracket winner loses it', () => {
+    const tournament = createTournament({ name: 'Cup', format: 'double', participants: entrants(4) });
+    // seed-1 wins everything except its first grand final
+    const played = playOut(tournament, match => match.id === 'GF' ? match.players[1] : higherSeed(match));
+    assert.deepStrictEqual(played.slice(-2), ['GF', 'GF2']);
+    assert.strictEqual(tournament.champion, 'seed-1');
+});
+
+test('a double elimination final is not reset when the winners bracket winner takes it', () => {
+    const tournament = createTournament({ name: 'Cup', format: 'double', participants: entrants(6) });
+    const played = playOut(tournament, higherSeed);
+    assert.strictEqual(played[played.length - 1], 'GF');
+    assert.strictEqual(tournament.matches.find(match => match.id === 'GF2').status, 'skipped');
+    assert.strictEqual(tournament.champion, 'seed-1');
+});
+
+test('results are only taken for matches being played, won by one of the players', () => {
+    const tournament = createTournament({ name: 'Cup', format: 'single', participants: entrants(4) });
+    startTournament(tournament.id, 'main');
+    const match = takeNextMatch(tournament.id);
+    const waiting = tournament.matches.find(m => m.status === 'ready');
+    assert.throws(() => recordResult(tournament.id, waiting.id, { winner: waiting.players[0] }), /not being played/);
+    assert.throws(() => recordResult(tournament.id, match.id, { winner: 'seed-9' }), /one of the players/);
+});
+
+test('bad entries are refused', () => {
+    assert.throws(() => createTournament({ name: 'Cup', format: 'swiss', participants: entrants(4) }), /Format/);
+    assert.throws(() => createTournament({ name: 'Cup', format: 'single', participants: entrants(1) }), /participants/);
+    assert.throws(() => createTournament({ name: 'Cup', format: 'single', participants: [...entrants(2), entrants(1)[0]] }), /twice/);
+});